@@ -8,19 +8,165 @@ import {
     chat,
     messageFormatting,
     substituteParams,
+    saveChatConditional,
+    saveChatDebounced,
+    saveSettingsDebounced,
+    appendMediaToMessage,
+    updateMessageBlock,
+    openCharacterChat,
+    this_chid,
+    chat_metadata,
 } from '../../../../script.js';
 
-import { getContext } from '../../../extensions.js';
+import { getContext, extension_settings, saveMetadataDebounced } from '../../../extensions.js';
+import { getMessageTimeStamp } from '../../../RossAscends-mods.js';
+import { createBranch } from '../../../bookmarks.js';
+import { openGroupChat, selected_group } from '../../../group-chats.js';
+import { callGenericPopup, Popup, POPUP_TYPE, POPUP_RESULT } from '../../../popup.js';
+import { download, escapeHtml, timestampToMoment } from '../../../utils.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
 
 const pluginName = 'swipe-unlock';
 
 // State management - support multiple unlocked messages
-const unlockedMessages = new Map(); // Map<messageId, {originalSwipeId, showTranslation}>
+const unlockedMessages = new Map(); // Map<messageId, {messageRef, originalSwipeId, showTranslation, modelFilter, sortMode, swipeParts}>
 
-// LLM Translator DB constants
+// Translation providers - Map<providerId, {name, isAvailable(), translate(text)}>
+const translationProviders = new Map();
+
+// Swipes currently being translated - WeakMap<message, Set<swipeId>>
+const pendingTranslations = new WeakMap();
+
+// Key holding favorites/ratings/tags - {[swipeId]: {favorite, rating, tags}}. Mirrored into
+// message.extra and every swipe_info[i].extra, since SillyTavern replaces message.extra on swipes.
+const SWIPE_MARKS_KEY = 'swipe_unlock_marks';
+
+// Events emitted on eventSource for other extensions - payload {messageId, swipeId, originalSwipeId, showTranslation, bilingual}
+// (SWIPE_CHANGED also has previousSwipeId, and change = 'commit' | 'delete' | 'import' | 'edit' when the swipes themselves changed)
+export const SWIPE_UNLOCK_EVENTS = Object.freeze({
+    UNLOCKED: 'swipe_unlock_unlocked',
+    LOCKED: 'swipe_unlock_locked',
+    SWIPE_CHANGED: 'swipe_unlock_swipe_changed',
+    TRANSLATION_TOGGLED: 'swipe_unlock_translation_toggled',
+});
+
+// Popup results of the bilingual copy choice (besides POPUP_RESULT.AFFIRMATIVE for both)
+const BILINGUAL_COPY = Object.freeze({
+    ORIGINAL: 2,
+    TRANSLATION: 3,
+});
+
+// Key in chat_metadata holding named swipe paths - {[name]: {created, selections: {[messageId]: swipeId}}}
+const SWIPE_PATHS_KEY = 'swipe_unlock_paths';
+
+// LLM Translator DB defaults (configurable in settings)
 const DB_NAME = 'LLMtranslatorDB';
 const STORE_NAME = 'translations';
 
+const defaultSettings = {
+    scrollBehavior: 'smooth',
+    scrollBlock: 'end',
+    defaultDisplayMode: 'original',
+    bilingualLayout: 'auto',
+    showCopyButton: true,
+    showTranslationButton: true,
+    translatorDbName: DB_NAME,
+    translatorStoreName: STORE_NAME,
+    translationProvider: 'llm-translator',
+    llmTranslatorCommand: 'llm-translate',
+    translationEndpoint: 'http://127.0.0.1:5000/v1',
+    translationModel: '',
+    translationLanguage: 'English',
+    translationPrompt: 'Translate the following text into {{language}}. Keep the formatting and reply with the translation only.\n\n{{text}}',
+    singleUnlock: false,
+    lockOnNewMessage: false,
+    rememberUnlocked: false,
+    duplicateThreshold: 0.85,
+    debugLogging: false,
+    benchmarkMode: false,
+};
+
+// Upper bound for the LCS table used by the diff view (cells, not bytes)
+const MAX_DIFF_CELLS = 4_000_000;
+
+// Maximum number of hits rendered by the swipe search panel
+const MAX_SEARCH_RESULTS = 500;
+
+// Minimum horizontal distance (px) for a touch gesture to count as a swipe
+const SWIPE_GESTURE_MIN_DISTANCE = 50;
+
+// Character shingle length used for near-duplicate detection
+const DUPLICATE_SHINGLE_SIZE = 5;
+
+// Near-duplicate groups per message - WeakMap<message, {swipes, threshold, groups, groupOf}>
+const duplicateGroupsCache = new WeakMap();
+
+// Maximum number of undo steps kept per chat
+const MAX_HISTORY_ENTRIES = 100;
+
+// Delay (ms) used to batch decoration of message nodes added to #chat
+const DECORATION_DELAY = 50;
+
+// Translation lookup cache bounds: entries kept, and how long (ms) a "not translated" answer is trusted
+const TRANSLATION_CACHE_MAX_ENTRIES = 5000;
+const TRANSLATION_CACHE_MISS_TTL = 10_000;
+
+// Shared LLM Translator DB connection - {dbName, promise}
+let translatorDbConnection = null;
+
+// API key of the OpenAI-compatible provider; kept in memory for this session, never saved
+let translationApiKey = '';
+
+// Translation lookup cache - Map<originalText, {translation, time}>
+const translationCache = new Map();
+
+// Message nodes added to #chat and waiting to be decorated
+const pendingMessageNodes = new Set();
+let decorationTimer = null;
+let refreshDecorationsTimer = null;
+
+// Undo/redo stacks per chat - Map<chatId, {undo: [], redo: []}>
+const swipeHistories = new Map();
+
+// Set while history entries are being applied, so they aren't recorded again
+let isReplayingHistory = false;
+
+// Chat messages in order as of the last saved path reconciliation (see reconcileSwipePaths)
+let swipePathMessages = [];
+
+// Timings collected in benchmark mode
+let benchmarkStats = createBenchmarkStats();
+
+// Parts of a rendered message that belong to the selected swipe, besides .mes_text
+const SWIPE_PART_SELECTORS = [
+    '.mes_reasoning_details',
+    '.mes_media_wrapper',
+    '.mes_img_container',
+    '.mes_file_container',
+    '.tokenCounterDisplay',
+    '.mes_timer',
+    '.timestamp',
+    '.timestamp-icon',
+];
+
+/**
+ * Get extension settings
+ */
+function getSettings() {
+    return extension_settings[pluginName];
+}
+
+/**
+ * Log only when debug logging is enabled in settings
+ */
+function debugLog(...args) {
+    if (getSettings()?.debugLogging) {
+        console.log('[Swipe Unlock]', ...args);
+    }
+}
+
 /**
  * Get chat array safely
  */
@@ -36,33 +182,117 @@ function getChatArray() {
 }
 
 /**
- * Open LLM Translator DB
+ * Open LLM Translator DB (the connection is shared and reused between lookups)
  */
-async function openTranslatorDB() {
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open(DB_NAME, 1);
+function openTranslatorDB() {
+    const dbName = getSettings().translatorDbName || DB_NAME;
+    if (translatorDbConnection?.dbName === dbName) {
+        return translatorDbConnection.promise;
+    }
+    
+    closeTranslatorDB();
+    return connectTranslatorDB(dbName);
+}
+
+/**
+ * Open a connection and make it the shared one. The DB belongs to LLM Translator,
+ * so it is never created or upgraded here: a missing DB resolves to null.
+ */
+function connectTranslatorDB(dbName) {
+    const connection = { dbName };
+    
+    connection.promise = new Promise((resolve) => {
+        const request = indexedDB.open(dbName);
+        
+        // Only fires when the DB doesn't exist yet; don't create it
+        request.onupgradeneeded = () => {
+            request.transaction.abort();
+        };
         
         request.onerror = () => {
+            if (translatorDbConnection === connection) translatorDbConnection = null;
             resolve(null); // DB가 없어도 계속 진행
         };
         
         request.onsuccess = () => {
-            resolve(request.result);
+            const db = request.result;
+            // Don't block LLM Translator upgrading its DB; the next lookup reconnects
+            db.onversionchange = () => {
+                db.close();
+                if (translatorDbConnection === connection) translatorDbConnection = null;
+            };
+            resolve(db);
+        };
+    });
+    
+    translatorDbConnection = connection;
+    return connection.promise;
+}
+
+/**
+ * Close the shared DB connection (e.g. after the DB name changed)
+ */
+function closeTranslatorDB() {
+    const connection = translatorDbConnection;
+    translatorDbConnection = null;
+    connection?.promise.then(db => db?.close());
+}
+
+/**
+ * Save (insert or update) a translation in the LLM Translator DB so both extensions share it
+ */
+async function saveTranslationToDB(originalText, translation, provider, model = '') {
+    const db = await openTranslatorDB();
+    const storeName = getSettings().translatorStoreName || STORE_NAME;
+    if (!db || !db.objectStoreNames.contains(storeName)) {
+        throw new Error('LLM Translator database not found. Install LLM Translator and translate a message once to create it.');
+    }
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const request = store.index('originalText').get(originalText);
+        const record = { originalText, translation, provider, model, date: new Date().toISOString() };
+        
+        request.onsuccess = () => {
+            const existing = request.result;
+            if (existing) {
+                store.put({ ...existing, ...record });
+            } else {
+                store.add(record);
+            }
+        };
+        
+        transaction.oncomplete = () => {
+            cacheTranslation(originalText, translation);
+            resolve();
+        };
+        transaction.onerror = () => {
+            translationCache.delete(originalText);
+            reject(transaction.error);
         };
     });
 }
 
 /**
- * Get translation from DB by original text
+ * Get translation from DB by original text (cached)
  */
 async function getTranslationFromDB(originalText) {
+    const cached = getCachedTranslation(originalText);
+    if (cached !== undefined) {
+        recordBenchmark('lookups', 0, { cacheHit: true });
+        return cached;
+    }
+    
+    const started = performance.now();
     try {
         const db = await openTranslatorDB();
         if (!db) return null;
         
-        return new Promise((resolve) => {
-            const transaction = db.transaction(STORE_NAME, 'readonly');
-            const store = transaction.objectStore(STORE_NAME);
+        const translation = await new Promise((resolve, reject) => {
+            const storeName = getSettings().translatorStoreName || STORE_NAME;
+            const transaction = db.transaction(storeName, 'readonly');
+            const store = transaction.objectStore(storeName);
             const index = store.index('originalText');
             const request = index.get(originalText);
             
@@ -72,15 +302,45 @@ async function getTranslationFromDB(originalText) {
             };
             
             request.onerror = () => {
-                resolve(null);
-            };
-            
-            transaction.oncomplete = () => {
-                db.close();
+                reject(request.error);
             };
         });
+        
+        cacheTranslation(originalText, translation);
+        return translation;
     } catch (error) {
+        // Missing store or a connection closed by an upgrade: not translated (not cached)
         return null;
+    } finally {
+        recordBenchmark('lookups', performance.now() - started);
+    }
+}
+
+/**
+ * Get a cached lookup result: the translation, null if known to be missing, undefined if unknown
+ */
+function getCachedTranslation(originalText) {
+    const entry = translationCache.get(originalText);
+    if (!entry) return undefined;
+    
+    // LLM Translator may have translated it since
+    if (entry.translation === null && Date.now() - entry.time > TRANSLATION_CACHE_MISS_TTL) {
+        translationCache.delete(originalText);
+        return undefined;
+    }
+    
+    return entry.translation;
+}
+
+/**
+ * Remember a lookup result, evicting the oldest entries beyond the cache size
+ */
+function cacheTranslation(originalText, translation) {
+    translationCache.delete(originalText);
+    translationCache.set(originalText, { translation: translation ?? null, time: Date.now() });
+    
+    while (translationCache.size > TRANSLATION_CACHE_MAX_ENTRIES) {
+        translationCache.delete(translationCache.keys().next().value);
     }
 }
 
@@ -90,12 +350,14 @@ async function getTranslationFromDB(originalText) {
 function scrollToMessage(messageElement) {
     if (!messageElement || !messageElement.length) return;
     
+    const { scrollBehavior, scrollBlock } = getSettings();
+    
     try {
         // Use scrollIntoView to bring the message into view
-        // block: 'end' ensures the message appears at the bottom of the viewport
+        // block: 'end' (default) ensures the message appears at the bottom of the viewport
         messageElement[0].scrollIntoView({ 
-            behavior: 'smooth', 
-            block: 'end',
+            behavior: scrollBehavior, 
+            block: scrollBlock,
             inline: 'nearest'
         });
     } catch (error) {
@@ -104,7 +366,7 @@ function scrollToMessage(messageElement) {
         try {
             messageElement[0].scrollIntoView({ 
                 behavior: 'auto', 
-                block: 'end',
+                block: scrollBlock,
                 inline: 'nearest'
             });
         } catch (fallbackError) {
@@ -118,28 +380,251 @@ function scrollToMessage(messageElement) {
  */
 async function getSwipeTranslation(messageIndex, swipeIndex) {
     try {
-        const chatArray = getChatArray();
-        if (messageIndex < 0 || messageIndex >= chatArray.length) {
-            return null;
-        }
-        
-        const message = chatArray[messageIndex];
-        if (!message || !message.swipes || swipeIndex >= message.swipes.length) {
+        const originalText = getSwipeSourceText(messageIndex, swipeIndex);
+        if (!originalText) {
             return null;
         }
         
-        const swipeText = message.swipes[swipeIndex];
-        if (!swipeText) {
-            return null;
+        return await getTranslationFromDB(originalText);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the swipe text as LLM Translator keys it in the DB (null if the swipe doesn't exist)
+ */
+function getSwipeSourceText(messageIndex, swipeIndex) {
+    const chatArray = getChatArray();
+    if (messageIndex < 0 || messageIndex >= chatArray.length) {
+        return null;
+    }
+    
+    const message = chatArray[messageIndex];
+    if (!message || !message.swipes || swipeIndex >= message.swipes.length) {
+        return null;
+    }
+    
+    const swipeText = message.swipes[swipeIndex];
+    if (!swipeText) {
+        return null;
+    }
+    
+    // substituteParams를 사용해서 원문 처리 (LLM Translator 방식과 동일)
+    const context = getContext();
+    return substituteParams(swipeText, context.name1, message.name);
+}
+
+/**
+ * Register a translation provider
+ * provider: {name, isAvailable: () => boolean, translate: async (text) => string}
+ */
+export function registerTranslationProvider(id, provider) {
+    translationProviders.set(id, provider);
+}
+
+/**
+ * Register the built-in translation providers
+ */
+function registerBuiltInTranslationProviders() {
+    // LLM Translator, through its slash command when the extension is loaded
+    registerTranslationProvider('llm-translator', {
+        name: 'LLM Translator',
+        isAvailable: () => !!SlashCommandParser.commands[getSettings().llmTranslatorCommand],
+        translate: async (text) => {
+            const command = SlashCommandParser.commands[getSettings().llmTranslatorCommand];
+            const result = await command.callback({}, text);
+            return String(result ?? '').trim();
+        },
+    });
+    
+    // Any OpenAI-compatible chat completions endpoint (OpenAI, local servers, proxies)
+    registerTranslationProvider('openai-compatible', {
+        name: 'OpenAI-compatible endpoint',
+        isAvailable: () => !!getSettings().translationEndpoint,
+        translate: async (text) => {
+            const settings = getSettings();
+            const prompt = settings.translationPrompt
+                .replaceAll('{{language}}', settings.translationLanguage)
+                .replaceAll('{{text}}', text);
+            
+            const headers = { 'Content-Type': 'application/json' };
+            if (translationApiKey) {
+                headers['Authorization'] = `Bearer ${translationApiKey}`;
+            }
+            
+            const response = await fetch(`${settings.translationEndpoint.replace(/\/+$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: settings.translationModel || undefined,
+                    messages: [{ role: 'user', content: prompt }],
+                    temperature: 0.2,
+                }),
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+            
+            const data = await response.json();
+            return String(data?.choices?.[0]?.message?.content ?? '').trim();
+        },
+    });
+}
+
+/**
+ * Get the translation provider selected in settings, if it can be used right now
+ */
+function getActiveTranslationProvider() {
+    const provider = translationProviders.get(getSettings().translationProvider);
+    return provider?.isAvailable() ? provider : null;
+}
+
+/**
+ * Get the translation status of a swipe: 'translating', 'cached' or 'missing'
+ */
+async function getSwipeTranslationStatus(messageId, swipeId) {
+    const message = getChatArray()[messageId];
+    if (message && pendingTranslations.get(message)?.has(swipeId)) {
+        return 'translating';
+    }
+    
+    return await getSwipeTranslation(messageId, swipeId) ? 'cached' : 'missing';
+}
+
+/**
+ * Translate one swipe with the active provider and store the result in the shared DB
+ */
+async function translateSwipe(messageId, swipeId, { silent = false } = {}) {
+    const message = getChatArray()[messageId];
+    const originalText = getSwipeSourceText(messageId, swipeId);
+    if (!message || !originalText) return null;
+    
+    const providerId = getSettings().translationProvider;
+    const provider = getActiveTranslationProvider();
+    if (!provider) {
+        toastr.warning('No translation provider is available. Check the Swipe Unlock settings.');
+        return null;
+    }
+    
+    if (!pendingTranslations.has(message)) {
+        pendingTranslations.set(message, new Set());
+    }
+    const pending = pendingTranslations.get(message);
+    if (pending.has(swipeId)) return null;
+    
+    pending.add(swipeId);
+    refreshTranslationStatus(message);
+    
+    try {
+        const translation = await provider.translate(originalText);
+        if (!translation) {
+            throw new Error('The provider returned an empty translation.');
         }
         
-        // substituteParams를 사용해서 원문 처리 (LLM Translator 방식과 동일)
-        const context = getContext();
-        const originalText = substituteParams(swipeText, context.name1, message.name);
-        
-        return await getTranslationFromDB(originalText);
+        await saveTranslationToDB(originalText, translation, providerId, getSettings().translationModel);
+        return translation;
     } catch (error) {
+        console.error('Swipe translation failed:', error);
+        if (!silent) {
+            toastr.error(`Failed to translate swipe ${swipeId + 1}: ${error.message}`);
+        }
         return null;
+    } finally {
+        pending.delete(swipeId);
+        refreshTranslationStatus(message, swipeId);
+    }
+}
+
+/**
+ * Translate every swipe of a message that has no cached translation yet
+ */
+async function translateAllSwipes(messageId) {
+    const message = getChatArray()[messageId];
+    if (!message?.swipes) return;
+    
+    const missing = [];
+    for (let swipeId = 0; swipeId < message.swipes.length; swipeId++) {
+        if (await getSwipeTranslationStatus(messageId, swipeId) === 'missing') {
+            missing.push(swipeId);
+        }
+    }
+    
+    if (!missing.length) {
+        toastr.info('All swipes of this message are already translated.');
+        return;
+    }
+    
+    if (!getActiveTranslationProvider()) {
+        toastr.warning('No translation provider is available. Check the Swipe Unlock settings.');
+        return;
+    }
+    
+    let failed = 0;
+    for (let index = 0; index < missing.length; index++) {
+        // The message may move while we wait on the provider
+        const currentMessageId = getChatArray().indexOf(message);
+        if (currentMessageId === -1) return;
+        
+        setTranslationProgress(message, `${index + 1}/${missing.length}`);
+        const translation = await translateSwipe(currentMessageId, missing[index], { silent: true });
+        if (!translation) failed++;
+    }
+    setTranslationProgress(message, '');
+    
+    if (failed) {
+        toastr.warning(`Translated ${missing.length - failed} of ${missing.length} swipes, ${failed} failed.`);
+    } else {
+        toastr.success(`Translated ${missing.length} swipe(s).`);
+    }
+}
+
+/**
+ * Show batch translation progress in the navigation bar of a message
+ */
+function setTranslationProgress(message, text) {
+    const messageId = getChatArray().indexOf(message);
+    if (messageId === -1) return;
+    
+    $(`#chat .mes[mesid="${messageId}"] .swipe-unlock-translation-progress`).text(text);
+}
+
+/**
+ * Update the translation status indicator of an unlocked message, and its text if a
+ * translation just finished for the swipe being shown
+ */
+async function refreshTranslationStatus(message, translatedSwipeId = null) {
+    const messageId = getChatArray().indexOf(message);
+    const messageState = unlockedMessages.get(messageId);
+    if (messageId === -1 || !messageState) return;
+    
+    const swipeId = message.swipe_id || 0;
+    const status = await getSwipeTranslationStatus(messageId, swipeId);
+    
+    // Another swipe may be shown by the time the lookup returns
+    if ((message.swipe_id || 0) !== swipeId) return;
+    
+    const titles = {
+        cached: 'Translation available',
+        missing: 'No translation - click to translate this swipe',
+        translating: 'Translating...',
+    };
+    const icons = {
+        cached: 'fa-circle-check',
+        missing: 'fa-circle-exclamation',
+        translating: 'fa-spinner fa-spin',
+    };
+    
+    const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+    const indicator = messageElement.find('.swipe-unlock-translation-status');
+    indicator
+        .attr({ 'data-status': status, 'title': titles[status], 'aria-label': titles[status] })
+        .find('i')
+        .attr('class', `fa-solid ${icons[status]}`);
+    
+    if (translatedSwipeId === swipeId && status === 'cached' && messageState.showTranslation) {
+        updateMessageDisplay(messageElement, messageId, swipeId, true, false);
     }
 }
 
@@ -151,40 +636,282 @@ function createLockButton() {
         .addClass('mes_button swipe-unlock-icon fa-solid fa-lock interactable')
         .attr({
             'title': 'Unlock swipe navigation',
+            'aria-label': 'Unlock swipe navigation',
+            'role': 'button',
             'tabindex': '0'
         });
 }
 
+/**
+ * Update the lock icon and focusability of a message for its lock state
+ */
+function setLockIconState(messageElement, unlocked) {
+    const label = unlocked ? 'Lock swipe navigation' : 'Unlock swipe navigation';
+    const icon = messageElement.find('.swipe-unlock-icon');
+    icon.toggleClass('fa-lock', !unlocked).toggleClass('fa-lock-open', unlocked);
+    icon.attr({ 'title': label, 'aria-label': label, 'aria-pressed': String(unlocked) });
+    
+    // Unlocked messages take focus on click so keyboard shortcuts apply to them
+    if (unlocked) {
+        messageElement.attr('tabindex', '-1');
+    } else {
+        messageElement.removeAttr('tabindex');
+    }
+}
+
 /**
  * Initialize the swipe unlock extension
  */
 function initializeSwipeUnlock() {
     console.log('Swipe Unlock extension loaded');
     
+    // Load settings and render the settings drawer
+    loadSettings();
+    registerBuiltInTranslationProviders();
+    addSettingsPanel();
+    
     // Add lock icons to existing messages
     addLockIconsToMessages();
     
+    // Add entries to the extensions (wand) menu
+    addExtensionsMenuItems();
+    
     // Monitor for new messages
     setupMessageObserver();
     
     // Setup event listeners
     setupEventListeners();
+    
+    // Register STscript commands
+    registerSlashCommands();
 }
 
 /**
- * Add lock icons to all messages
+ * Add lock icons to message nodes (by default every node in #chat not decorated yet)
  */
-function addLockIconsToMessages() {
-    $('#chat').find('.mes').each(function() {
-        const messageElement = $(this);
-        const extraButtonsContainer = messageElement.find('.extraMesButtons');
+function addLockIconsToMessages(messageNodes = document.querySelectorAll('#chat .mes:not(.swipe-unlock-decorated)')) {
+    const started = performance.now();
+    let decorated = 0;
+    
+    for (const node of messageNodes) {
+        if (!node.isConnected) continue;
         
         // Add lock icon if container exists and icon doesn't exist yet
-        if (extraButtonsContainer.length && !extraButtonsContainer.find('.swipe-unlock-icon').length) {
-            const lockButton = createLockButton();
-            extraButtonsContainer.prepend(lockButton);
+        const extraButtonsContainer = node.querySelector('.extraMesButtons');
+        if (!extraButtonsContainer) continue;
+        
+        if (!extraButtonsContainer.querySelector('.swipe-unlock-icon')) {
+            $(extraButtonsContainer).prepend(createLockButton());
+        }
+        node.classList.add('swipe-unlock-decorated');
+        decorated++;
+    }
+    
+    recordBenchmark('decoration', performance.now() - started, { items: decorated });
+}
+
+/**
+ * Load settings, filling in defaults for missing keys
+ */
+function loadSettings() {
+    extension_settings[pluginName] = Object.assign({}, defaultSettings, extension_settings[pluginName]);
+    
+    // Older versions saved the API key in plain text; drop it
+    if ('translationApiKey' in extension_settings[pluginName]) {
+        delete extension_settings[pluginName].translationApiKey;
+        saveSettingsDebounced();
+    }
+}
+
+/**
+ * Add the settings drawer to the Extensions panel
+ */
+function addSettingsPanel() {
+    const providerOptions = Array.from(translationProviders.entries())
+        .map(([id, provider]) => `<option value="${id}">${escapeHtml(provider.name)}</option>`)
+        .join('');
+    
+    const settingsHtml = `
+        <div class="swipe-unlock-settings">
+            <div class="inline-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header">
+                    <b>Swipe Unlock</b>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                </div>
+                <div class="inline-drawer-content">
+                    <h4>Display</h4>
+                    <label for="swipe_unlock_default_display_mode">Default display mode when unlocking</label>
+                    <select id="swipe_unlock_default_display_mode" class="text_pole" data-setting="defaultDisplayMode">
+                        <option value="original">Original</option>
+                        <option value="translation">Translation</option>
+                        <option value="bilingual">Bilingual (original and translation)</option>
+                    </select>
+                    <label for="swipe_unlock_bilingual_layout">Bilingual layout</label>
+                    <select id="swipe_unlock_bilingual_layout" class="text_pole" data-setting="bilingualLayout">
+                        <option value="auto">Side by side on wide screens, interleaved otherwise</option>
+                        <option value="interleaved">Always interleaved</option>
+                    </select>
+                    <label class="checkbox_label">
+                        <input type="checkbox" data-setting="showTranslationButton">
+                        Show translation toggle button
+                    </label>
+                    <label class="checkbox_label">
+                        <input type="checkbox" data-setting="showCopyButton">
+                        Show copy button
+                    </label>
+                    
+                    <h4>Scrolling</h4>
+                    <label for="swipe_unlock_scroll_behavior">Scroll behavior</label>
+                    <select id="swipe_unlock_scroll_behavior" class="text_pole" data-setting="scrollBehavior">
+                        <option value="smooth">Smooth</option>
+                        <option value="auto">Instant</option>
+                    </select>
+                    <label for="swipe_unlock_scroll_block">Align message to</label>
+                    <select id="swipe_unlock_scroll_block" class="text_pole" data-setting="scrollBlock">
+                        <option value="start">Top</option>
+                        <option value="center">Center</option>
+                        <option value="end">Bottom</option>
+                        <option value="nearest">Nearest edge</option>
+                    </select>
+                    
+                    <h4>Auto-lock</h4>
+                    <label class="checkbox_label">
+                        <input type="checkbox" data-setting="singleUnlock">
+                        Only one unlocked message at a time
+                    </label>
+                    <label class="checkbox_label">
+                        <input type="checkbox" data-setting="lockOnNewMessage">
+                        Lock all messages when a message is sent or received
+                    </label>
+                    <label class="checkbox_label">
+                        <input type="checkbox" data-setting="rememberUnlocked">
+                        Remember unlocked messages per chat across reloads
+                    </label>
+                    
+                    <h4>Near-duplicates</h4>
+                    <label for="swipe_unlock_duplicate_threshold">Similarity threshold (0-1)</label>
+                    <input id="swipe_unlock_duplicate_threshold" type="number" class="text_pole" min="0.5" max="1" step="0.05" data-setting="duplicateThreshold">
+                    
+                    <h4>LLM Translator</h4>
+                    <label for="swipe_unlock_db_name">Database name</label>
+                    <input id="swipe_unlock_db_name" type="text" class="text_pole" data-setting="translatorDbName">
+                    <label for="swipe_unlock_store_name">Object store name</label>
+                    <input id="swipe_unlock_store_name" type="text" class="text_pole" data-setting="translatorStoreName">
+                    
+                    <h4>Translating missing swipes</h4>
+                    <label for="swipe_unlock_translation_provider">Provider</label>
+                    <select id="swipe_unlock_translation_provider" class="text_pole" data-setting="translationProvider">
+                        ${providerOptions}
+                    </select>
+                    <label for="swipe_unlock_llm_translator_command">LLM Translator slash command</label>
+                    <input id="swipe_unlock_llm_translator_command" type="text" class="text_pole" data-setting="llmTranslatorCommand">
+                    <label for="swipe_unlock_translation_endpoint">OpenAI-compatible endpoint (base URL)</label>
+                    <input id="swipe_unlock_translation_endpoint" type="text" class="text_pole" data-setting="translationEndpoint">
+                    <label for="swipe_unlock_translation_api_key">API key (kept for this session only)</label>
+                    <input id="swipe_unlock_translation_api_key" type="password" class="text_pole" autocomplete="off">
+                    <label for="swipe_unlock_translation_model">Model</label>
+                    <input id="swipe_unlock_translation_model" type="text" class="text_pole" data-setting="translationModel">
+                    <label for="swipe_unlock_translation_language">Target language</label>
+                    <input id="swipe_unlock_translation_language" type="text" class="text_pole" data-setting="translationLanguage">
+                    <label for="swipe_unlock_translation_prompt">Prompt (<code>{{language}}</code>, <code>{{text}}</code>)</label>
+                    <textarea id="swipe_unlock_translation_prompt" class="text_pole" rows="3" data-setting="translationPrompt"></textarea>
+                    
+                    <h4>Debug</h4>
+                    <label class="checkbox_label">
+                        <input type="checkbox" data-setting="debugLogging">
+                        Log debug information to the console
+                    </label>
+                    <label class="checkbox_label">
+                        <input type="checkbox" data-setting="benchmarkMode">
+                        Benchmark mode (time message decoration and translation lookups)
+                    </label>
+                    <div id="swipe_unlock_benchmark_report" class="menu_button">Show benchmark report</div>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    const panel = $(settingsHtml);
+    $('#extensions_settings2').append(panel);
+    
+    const settings = getSettings();
+    panel.find('[data-setting]').each(function() {
+        const input = $(this);
+        const key = input.attr('data-setting');
+        
+        if (input.is(':checkbox')) {
+            input.prop('checked', !!settings[key]);
+        } else {
+            input.val(settings[key]);
         }
+        
+        input.on(input.is(':checkbox, select') ? 'change' : 'input', function() {
+            const value = input.is(':checkbox') ? input.prop('checked') : String(input.val()).trim();
+            // Empty text fields fall back to the default
+            settings[key] = value === '' ? defaultSettings[key] : value;
+            
+            // Lookups and the open connection belong to the previous database
+            if (key === 'translatorDbName' || key === 'translatorStoreName') {
+                closeTranslatorDB();
+                translationCache.clear();
+            }
+            
+            saveSettingsDebounced();
+            applySettings();
+        });
+    });
+    
+    panel.find('#swipe_unlock_translation_api_key').on('input', function() {
+        translationApiKey = String($(this).val()).trim();
     });
+    
+    panel.find('#swipe_unlock_benchmark_report').on('click', showBenchmarkReport);
+    
+    applySettings();
+}
+
+/**
+ * Apply settings that affect already rendered UI
+ */
+function applySettings() {
+    const settings = getSettings();
+    $('.swipe-unlock-copy').toggle(!!settings.showCopyButton);
+    $('.swipe-unlock-translation-toggle, .swipe-unlock-bilingual-toggle').toggle(!!settings.showTranslationButton);
+}
+
+/**
+ * Add extension entries to SillyTavern's extensions menu
+ */
+function addExtensionsMenuItems() {
+    const menu = $('#extensionsMenu');
+    if (!menu.length) return;
+    
+    menu.append(`
+        <div id="swipe_unlock_search_menu" class="list-group-item flex-container flexGap5 interactable" tabindex="0">
+            <div class="fa-solid fa-magnifying-glass extensionsMenuExtensionButton"></div>
+            Search swipes
+        </div>
+        <div id="swipe_unlock_export_menu" class="list-group-item flex-container flexGap5 interactable" tabindex="0">
+            <div class="fa-solid fa-file-export extensionsMenuExtensionButton"></div>
+            Export swipes
+        </div>
+        <div id="swipe_unlock_favorites_menu" class="list-group-item flex-container flexGap5 interactable" tabindex="0">
+            <div class="fa-solid fa-star extensionsMenuExtensionButton"></div>
+            Favorite swipes
+        </div>
+        <div id="swipe_unlock_paths_menu" class="list-group-item flex-container flexGap5 interactable" tabindex="0">
+            <div class="fa-solid fa-code-fork extensionsMenuExtensionButton"></div>
+            Swipe paths
+        </div>
+        <div id="swipe_unlock_history_menu" class="list-group-item flex-container flexGap5 interactable" tabindex="0">
+            <div class="fa-solid fa-clock-rotate-left extensionsMenuExtensionButton"></div>
+            Swipe history
+        </div>
+        <div id="swipe_unlock_stats_menu" class="list-group-item flex-container flexGap5 interactable" tabindex="0">
+            <div class="fa-solid fa-chart-column extensionsMenuExtensionButton"></div>
+            Swipe statistics
+        </div>
+    `);
 }
 
 /**
@@ -195,25 +922,23 @@ function setupMessageObserver() {
     if (!chatContainer) return;
 
     const observer = new MutationObserver((mutations) => {
-        let hasNewMessages = false;
-        
-        mutations.forEach((mutation) => {
-            if (mutation.type === 'childList') {
-                mutation.addedNodes.forEach((node) => {
-                    if (node.nodeType === 1 && 
-                        (node.classList.contains('mes') || node.querySelector('.mes'))) {
-                        hasNewMessages = true;
-                    }
-                });
+        for (const mutation of mutations) {
+            // Streamed text lands inside an existing message: nothing new to decorate
+            if (mutation.target !== chatContainer && mutation.target.closest?.('.mes')) continue;
+            
+            for (const node of mutation.addedNodes) {
+                if (node.nodeType !== 1) continue;
+                
+                if (node.classList.contains('mes')) {
+                    pendingMessageNodes.add(node);
+                } else {
+                    node.querySelectorAll('.mes').forEach(messageNode => pendingMessageNodes.add(messageNode));
+                }
             }
-        });
+        }
         
-        if (hasNewMessages) {
-            requestAnimationFrame(() => {
-                setTimeout(() => {
-                    addLockIconsToMessages();
-                }, 50);
-            });
+        if (pendingMessageNodes.size) {
+            scheduleMessageDecoration();
         }
     });
     
@@ -224,13 +949,32 @@ function setupMessageObserver() {
 }
 
 /**
- * Setup event listeners
+ * Decorate pending message nodes once per batch of mutations
  */
-function setupEventListeners() {
-    // Lock/unlock icon click handler
-    $(document).on('click', '.swipe-unlock-icon', function(event) {
-        event.preventDefault();
-        event.stopPropagation();
+function scheduleMessageDecoration() {
+    if (decorationTimer) return;
+    
+    decorationTimer = setTimeout(() => {
+        requestAnimationFrame(() => {
+            decorationTimer = null;
+            
+            const nodes = Array.from(pendingMessageNodes);
+            pendingMessageNodes.clear();
+            
+            addLockIconsToMessages(nodes);
+            syncUnlockedMessageUI();
+        });
+    }, DECORATION_DELAY);
+}
+
+/**
+ * Setup event listeners
+ */
+function setupEventListeners() {
+    // Lock/unlock icon click handler
+    $(document).on('click', '.swipe-unlock-icon', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
         
         const messageElement = $(this).closest('.mes');
         const messageId = parseInt(messageElement.attr('mesid'));
@@ -264,6 +1008,37 @@ function setupEventListeners() {
         toggleTranslation(messageId);
     });
     
+    // Bilingual toggle handler
+    $(document).on('click', '.swipe-unlock-bilingual-toggle', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        toggleBilingual(messageId);
+    });
+    
+    // Translation status (translate missing swipe) and batch translate handlers
+    $(document).on('click', '.swipe-unlock-translation-status', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        if ($(this).attr('data-status') !== 'missing') return;
+        
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        const message = getChatArray()[messageId];
+        if (message) {
+            translateSwipe(messageId, message.swipe_id || 0);
+        }
+    });
+    
+    $(document).on('click', '.swipe-unlock-translate-all', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        translateAllSwipes(messageId);
+    });
+    
     // Copy button handler
     $(document).on('click', '.swipe-unlock-copy', function(event) {
         event.preventDefault();
@@ -273,10 +1048,366 @@ function setupEventListeners() {
         copyMessageText(messageId);
     });
     
+    // "Use in next prompt" button handler
+    $(document).on('click', '.swipe-unlock-use-in-prompt', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        toggleUseInPrompt(messageId);
+    });
+    
+    // Commit ("Use this swipe") button handler
+    $(document).on('click', '.swipe-unlock-commit', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        commitUnlockedSwipe(messageId);
+    });
+    
+    // Compare (diff) button handler
+    $(document).on('click', '.swipe-unlock-compare', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        openCompareView(messageId);
+    });
+    
+    // Gallery toggle and card handlers
+    $(document).on('click', '.swipe-unlock-gallery-toggle', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        toggleSwipeGallery(messageElement, messageId);
+    });
+    
+    // Branch button handler
+    $(document).on('click', '.swipe-unlock-branch', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        branchFromUnlockedSwipe(messageId);
+    });
+    
+    // Info row toggle, model filter and sort handlers
+    $(document).on('click', '.swipe-unlock-info-toggle', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const visible = messageElement.find('.swipe-unlock-info').toggle().is(':visible');
+        $(this).toggleClass('active', visible);
+    });
+    
+    $(document).on('change', '.swipe-unlock-model-filter', function() {
+        const messageId = parseInt($(this).closest('.mes').attr('mesid'));
+        setNavigationOptions(messageId, { modelFilter: String($(this).val()) });
+    });
+    
+    $(document).on('change', '.swipe-unlock-sort', function() {
+        const messageId = parseInt($(this).closest('.mes').attr('mesid'));
+        setNavigationOptions(messageId, { sortMode: String($(this).val()) });
+    });
+    
+    $(document).on('change', '.swipe-unlock-skip-duplicates', function() {
+        const messageId = parseInt($(this).closest('.mes').attr('mesid'));
+        setNavigationOptions(messageId, { skipDuplicates: $(this).prop('checked') });
+    });
+    
+    $(document).on('click', '.swipe-unlock-remove-duplicates', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageId = parseInt($(this).closest('.mes').attr('mesid'));
+        removeDuplicateSwipes(messageId);
+    });
+    
+    // Compose / import swipe handlers
+    $(document).on('click', '.swipe-unlock-compose', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        openSwipeComposer(messageId);
+    });
+    
+    $(document).on('click', '.swipe-unlock-import', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        openSwipeImportDialog(messageId);
+    });
+    
+    // Edit / delete swipe handlers
+    $(document).on('click', '.swipe-unlock-edit', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        openSwipeEditor(messageElement, messageId);
+    });
+    
+    $(document).on('click', '.swipe-unlock-editor-save', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        const editor = $(this).closest('.swipe-unlock-editor');
+        saveSwipeEdit(messageId, parseInt(editor.attr('data-swipe')), String(editor.find('textarea').val()));
+    });
+    
+    $(document).on('click', '.swipe-unlock-editor-cancel', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        closeSwipeEditor($(this).closest('.mes'));
+    });
+    
+    $(document).on('click', '.swipe-unlock-delete', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        deleteUnlockedSwipe(messageId);
+    });
+    
+    // Favorite / rating and tags / next favorite handlers
+    $(document).on('click', '.swipe-unlock-favorite', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        toggleSwipeFavorite(messageId);
+    });
+    
+    $(document).on('click', '.swipe-unlock-mark', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        openSwipeMarkDialog(messageId);
+    });
+    
+    $(document).on('click', '.swipe-unlock-next-favorite', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        goToNextFavorite(messageId);
+    });
+    
+    // Export button handler
+    $(document).on('click', '.swipe-unlock-export', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        openExportDialog(messageId);
+    });
+    
+    $(document).on('click', '.swipe-unlock-gallery-card', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        goToUnlockedSwipe(messageId, parseInt($(this).attr('data-swipe')));
+    });
+    
+    // Extensions menu handlers
+    $(document).on('click', '#swipe_unlock_search_menu', function() {
+        openSwipeSearch();
+    });
+    
+    $(document).on('click', '#swipe_unlock_export_menu', function() {
+        openExportDialog(null);
+    });
+    
+    $(document).on('click', '#swipe_unlock_favorites_menu', function() {
+        openFavoritesList();
+    });
+    
+    $(document).on('click', '#swipe_unlock_paths_menu', function() {
+        openSwipePathsDialog();
+    });
+    
+    $(document).on('click', '#swipe_unlock_history_menu', function() {
+        openSwipeHistoryList();
+    });
+    
+    $(document).on('click', '#swipe_unlock_stats_menu', function() {
+        openSwipeStatistics();
+    });
+    
+    // Undo / redo / history list handlers
+    $(document).on('click', '.swipe-unlock-undo', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        undoSwipeHistory();
+    });
+    
+    $(document).on('click', '.swipe-unlock-redo', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        redoSwipeHistory();
+    });
+    
+    $(document).on('click', '.swipe-unlock-history', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        openSwipeHistoryList();
+    });
+    
+    // SillyTavern's editor and native swipes work on message.swipe_id, which we change while
+    // browsing. Lock the message before their own handlers run (capture phase).
+    const lockBeforeNativeAction = (event) => {
+        const target = event.target instanceof Element ? event.target : null;
+        if (!target?.closest('.mes_edit, .swipe_left, .swipe_right')) return;
+        
+        const messageElement = $(target.closest('.mes'));
+        const messageId = parseInt(messageElement.attr('mesid'));
+        if (unlockedMessages.has(messageId)) {
+            lockMessage(messageId, messageElement);
+        }
+    };
+    document.addEventListener('click', lockBeforeNativeAction, true);
+    
+    // Keyboard shortcuts and touch gestures for unlocked messages
+    document.addEventListener('keydown', handleUnlockedMessageKeydown, true);
+    setupTouchGestures();
+    
     // Event listeners for chat changes
-    eventSource.on(event_types.MESSAGE_RECEIVED, handleChatChange);
-    eventSource.on(event_types.MESSAGE_SENT, handleChatChange);
+    eventSource.on(event_types.MESSAGE_RECEIVED, handleNewMessage);
+    eventSource.on(event_types.MESSAGE_SENT, handleNewMessage);
     eventSource.on(event_types.CHAT_CHANGED, handleChatChange);
+    eventSource.on(event_types.MESSAGE_DELETED, refreshMessageDecorations);
+    eventSource.on(event_types.MESSAGE_EDITED, handleMessageEdited);
+    eventSource.on(event_types.MESSAGE_SWIPED, handleNativeSwipe);
+    [event_types.GENERATION_ENDED, event_types.GENERATION_STOPPED]
+        .filter(Boolean)
+        .forEach(eventType => eventSource.on(eventType, resetPromptOverrides));
+    
+    // Re-rendered message nodes lose our navigation UI
+    const renderEvents = [
+        event_types.MESSAGE_UPDATED,
+        event_types.CHARACTER_MESSAGE_RENDERED,
+        event_types.USER_MESSAGE_RENDERED,
+        event_types.MORE_MESSAGES_LOADED,
+    ];
+    renderEvents.filter(Boolean).forEach(eventType => eventSource.on(eventType, refreshMessageDecorations));
+}
+
+/**
+ * Handle keyboard shortcuts while an unlocked message (or its navigation bar) has focus
+ * Registered in the capture phase so SillyTavern's global arrow-key swipes don't also fire
+ */
+function handleUnlockedMessageKeydown(event) {
+    const target = event.target instanceof Element ? event.target : null;
+    const messageNode = target?.closest('#chat .mes.swipe-unlocked');
+    if (!messageNode) return;
+    
+    // Leave text entry alone
+    if (target.closest('textarea, input, select, [contenteditable="true"]')) return;
+    
+    // Ctrl+Z undo, Ctrl+Y / Ctrl+Shift+Z redo
+    if ((event.ctrlKey || event.metaKey) && !event.altKey) {
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            undoSwipeHistory();
+        } else if (key === 'y' || key === 'z') {
+            redoSwipeHistory();
+        } else {
+            return;
+        }
+        
+        event.preventDefault();
+        event.stopPropagation();
+        return;
+    }
+    
+    if (event.ctrlKey || event.altKey || event.metaKey) return;
+    
+    const messageElement = $(messageNode);
+    const messageId = parseInt(messageElement.attr('mesid'));
+    const message = getChatArray()[messageId];
+    if (!message || !unlockedMessages.has(messageId)) return;
+    
+    // Enter/Space activate focused navigation controls
+    if ((event.key === 'Enter' || event.key === ' ') && target.closest('.swipe-unlock-navigation [role="button"]')) {
+        event.preventDefault();
+        event.stopPropagation();
+        const button = $(target.closest('[role="button"]'));
+        if (button.attr('aria-disabled') !== 'true') {
+            button.trigger('click');
+        }
+        return;
+    }
+    
+    switch (event.key) {
+        case 'ArrowLeft':
+            swipeUnlockedMessage(messageId, -1);
+            break;
+        case 'ArrowRight':
+            swipeUnlockedMessage(messageId, 1);
+            break;
+        case 'Home':
+            goToUnlockedSwipe(messageId, getNavigationOrder(messageId)[0]);
+            break;
+        case 'End':
+            goToUnlockedSwipe(messageId, getNavigationOrder(messageId).at(-1));
+            break;
+        case 'Escape':
+            lockMessage(messageId, messageElement, { record: true });
+            messageElement.find('.swipe-unlock-icon').trigger('focus');
+            break;
+        default:
+            return;
+    }
+    
+    event.preventDefault();
+    event.stopPropagation();
+}
+
+/**
+ * Setup horizontal touch-swipe gestures on unlocked message text
+ */
+function setupTouchGestures() {
+    let touchStart = null;
+    
+    $(document).on('touchstart', '.swipe-unlocked .mes_text', function(event) {
+        const touches = event.originalEvent.touches;
+        touchStart = touches.length === 1
+            ? { x: touches[0].clientX, y: touches[0].clientY }
+            : null;
+    });
+    
+    $(document).on('touchend', '.swipe-unlocked .mes_text', function(event) {
+        if (!touchStart) return;
+        
+        const touch = event.originalEvent.changedTouches[0];
+        const deltaX = touch.clientX - touchStart.x;
+        const deltaY = touch.clientY - touchStart.y;
+        touchStart = null;
+        
+        // Mostly horizontal and long enough, otherwise it's a scroll
+        if (Math.abs(deltaX) < SWIPE_GESTURE_MIN_DISTANCE || Math.abs(deltaX) < Math.abs(deltaY) * 1.5) return;
+        
+        const messageElement = $(this).closest('.mes');
+        const messageId = parseInt(messageElement.attr('mesid'));
+        
+        // Finger moving left reveals the next swipe, like SillyTavern's own gestures
+        swipeUnlockedMessage(messageId, deltaX < 0 ? 1 : -1);
+    });
+    
+    // SillyTavern's gesture handler would swipe the last message natively as well
+    const stopNativeGesture = (event) => {
+        if (event.target instanceof Element && event.target.closest('.swipe-unlocked .mes_text')) {
+            event.stopPropagation();
+        }
+    };
+    document.addEventListener('swiped-left', stopNativeGesture, true);
+    document.addEventListener('swiped-right', stopNativeGesture, true);
 }
 
 /**
@@ -285,35 +1416,40 @@ function setupEventListeners() {
 function toggleMessageLock(messageId, messageElement) {
     if (unlockedMessages.has(messageId)) {
         // Lock the message
-        lockMessage(messageId, messageElement);
+        lockMessage(messageId, messageElement, { record: true });
     } else {
         // Unlock the message
         unlockMessage(messageId, messageElement);
     }
 }
 
+/**
+ * Find the swipe whose text is in message.mes (swipe_id can be stale if the chat
+ * was saved while another swipe was being browsed)
+ */
+function findActiveSwipeId(message, preferredSwipeId = message.swipe_id || 0) {
+    if (message.swipes?.[preferredSwipeId] === message.mes) return preferredSwipeId;
+    
+    const index = message.swipes?.indexOf(message.mes) ?? -1;
+    return index !== -1 ? index : preferredSwipeId;
+}
+
 /**
  * Unlock a message for swipe navigation
  */
-function unlockMessage(messageId, messageElement) {
+function unlockMessage(messageId, messageElement, { scroll = true, keepOthers = false } = {}) {
     const chatArray = getChatArray();
     const message = chatArray[messageId];
     
-    // Debug logging
-    console.log('=== Swipe Unlock Debug ===');
-    console.log('MessageId:', messageId);
-    console.log('Chat array exists:', !!chatArray);
-    console.log('Chat length:', chatArray.length);
-    console.log('Message exists:', !!message);
-    if (message) {
-        console.log('Message.swipes exists:', !!message.swipes);
-        console.log('Message.swipes:', message.swipes);
-        console.log('Swipes length:', message.swipes ? message.swipes.length : 'N/A');
-        console.log('Message.is_user:', message.is_user);
-        console.log('Message.is_system:', message.is_system);
-        console.log('Message type:', message.name);
-    }
-    console.log('========================');
+    debugLog('Unlock requested', {
+        messageId,
+        chatLength: chatArray.length,
+        messageExists: !!message,
+        swipes: message?.swipes?.length ?? 'N/A',
+        isUser: message?.is_user,
+        isSystem: message?.is_system,
+        name: message?.name,
+    });
     
     if (!message) {
         toastr.info('Message not found.');
@@ -330,16 +1466,31 @@ function unlockMessage(messageId, messageElement) {
         return;
     }
     
+    const settings = getSettings();
+    
+    // Lock other messages first if only one may be unlocked
+    if (settings.singleUnlock && !keepOthers) {
+        lockAllMessages();
+    }
+    
     // Store original state for this message
+    const originalSwipeId = findActiveSwipeId(message);
+    message.swipe_id = originalSwipeId;
     unlockedMessages.set(messageId, {
-        originalSwipeId: message.swipe_id || 0,
-        showTranslation: false
+        messageRef: message,
+        originalSwipeId,
+        showTranslation: settings.defaultDisplayMode === 'translation',
+        bilingual: settings.defaultDisplayMode === 'bilingual',
+        modelFilter: '',
+        sortMode: 'index',
+        skipDuplicates: false,
+        useInPrompt: false,
+        promptApplied: false,
+        swipeParts: messageElement.length ? captureSwipeParts(messageElement) : null
     });
     
     // Update icon
-    const icon = messageElement.find('.swipe-unlock-icon');
-    icon.removeClass('fa-lock').addClass('fa-lock-open');
-    icon.attr('title', 'Lock swipe navigation');
+    setLockIconState(messageElement, true);
     
     // Add swipe navigation UI
     addSwipeNavigationToMessage(messageElement, messageId);
@@ -347,76 +1498,206 @@ function unlockMessage(messageId, messageElement) {
     // Add unlocked class
     messageElement.addClass('swipe-unlocked');
     
+    // Start in translation or bilingual mode if configured
+    const messageState = unlockedMessages.get(messageId);
+    if (messageState.showTranslation || messageState.bilingual) {
+        updateMessageDisplay(messageElement, messageId, messageState.originalSwipeId, true, false);
+    }
+    
     // Scroll to message to show navigation
-    setTimeout(() => {
-        scrollToMessage(messageElement);
-    }, 100);
+    if (scroll) {
+        setTimeout(() => {
+            scrollToMessage(messageElement);
+        }, 100);
+    }
     
-    console.log(`Message #${messageId} unlocked for swipe navigation`);
+    persistUnlockState();
+    emitSwipeUnlockEvent(SWIPE_UNLOCK_EVENTS.UNLOCKED, messageId);
+    debugLog(`Message #${messageId} unlocked for swipe navigation`);
 }
 
 /**
- * Lock a message (remove swipe navigation)
+ * Lock a message (remove swipe navigation). Only locks the user asked for are recorded
+ * in the swipe history; automatic ones (single unlock, new messages, paths...) are not.
  */
-function lockMessage(messageId, messageElement) {
+function lockMessage(messageId, messageElement, { record = false } = {}) {
     // Get stored state for this message
     const messageState = unlockedMessages.get(messageId);
     if (!messageState) return;
     
-    // Restore original swipe
+    // Restore original swipe (only if the entry still belongs to this message)
     const chatArray = getChatArray();
     const message = chatArray[messageId];
-    if (message) {
+    if (message && message === messageState.messageRef) {
+        if (record) {
+            recordSwipeHistory({
+                type: 'lock',
+                message,
+                swipeId: message.swipe_id || 0,
+                showTranslation: messageState.showTranslation,
+            });
+        }
         message.swipe_id = messageState.originalSwipeId;
-        updateMessageDisplay(messageElement, messageId, messageState.originalSwipeId, messageState.showTranslation, false);
+        // Locked messages have no translation toggle, so always go back to the original text
+        messageState.bilingual = false;
+        updateMessageDisplay(messageElement, messageId, messageState.originalSwipeId, false, false);
     }
     
-    // Update icon
-    const icon = messageElement.find('.swipe-unlock-icon');
-    icon.removeClass('fa-lock-open').addClass('fa-lock');
-    icon.attr('title', 'Unlock swipe navigation');
-    
-    // Remove swipe navigation UI
-    removeSwipeNavigationFromMessage(messageElement);
+    // Put back reasoning, media, timestamp etc. exactly as they were rendered
+    if (messageState.swipeParts && messageElement.length) {
+        restoreSwipeParts(messageElement, messageState.swipeParts);
+        
+        if (getSettings().debugLogging && getSwipePartsSignature(messageElement) !== messageState.swipeParts.signature) {
+            debugLog(`Message #${messageId} parts differ from before unlocking`);
+        }
+    }
     
-    // Remove unlocked class
-    messageElement.removeClass('swipe-unlocked');
+    removeUnlockUI(messageElement);
     
     // Remove from unlocked messages
     unlockedMessages.delete(messageId);
     
-    console.log(`Message #${messageId} locked`);
+    persistUnlockState();
+    emitSwipeUnlockEvent(SWIPE_UNLOCK_EVENTS.LOCKED, messageId, {
+        swipeId: messageState.originalSwipeId,
+        originalSwipeId: messageState.originalSwipeId,
+        showTranslation: false,
+    });
+    debugLog(`Message #${messageId} locked`);
 }
 
 /**
- * Add swipe navigation UI to a message
+ * Remove unlock UI (icon state, navigation, class) without touching message data
  */
-function addSwipeNavigationToMessage(messageElement, messageId) {
-    const chatArray = getChatArray();
-    const message = chatArray[messageId];
-    if (!message) return;
+function removeUnlockUI(messageElement) {
+    // Update icon
+    setLockIconState(messageElement, false);
     
-    const currentSwipeId = message.swipe_id || 0;
-    const totalSwipes = message.swipes.length;
+    // Remove swipe navigation UI
+    removeSwipeNavigationFromMessage(messageElement);
+    
+    // Remove unlocked class
+    messageElement.removeClass('swipe-unlocked');
+}
+
+/**
+ * Lock every unlocked message
+ */
+function lockAllMessages({ record = false } = {}) {
+    for (const messageId of Array.from(unlockedMessages.keys())) {
+        lockMessage(messageId, $(`#chat .mes[mesid="${messageId}"]`), { record });
+    }
+}
+
+/**
+ * Add swipe navigation UI to a message
+ */
+function addSwipeNavigationToMessage(messageElement, messageId) {
+    const chatArray = getChatArray();
+    const message = chatArray[messageId];
+    if (!message) return;
+    
+    const currentSwipeId = message.swipe_id || 0;
+    const totalSwipes = message.swipes.length;
+    const showTranslation = !!unlockedMessages.get(messageId)?.showTranslation;
     
     // Create swipe navigation HTML
     const swipeNavHtml = `
-        <div class="swipe-unlock-navigation">
+        <div class="swipe-unlock-navigation" role="toolbar" aria-label="Swipe navigation for message #${messageId}">
             <div class="swipe-unlock-left swipe-unlock-btn" title="Previous swipe">
                 <i class="fa-solid fa-chevron-left"></i>
             </div>
-            <div class="swipe-unlock-counter">
+            <div class="swipe-unlock-counter" aria-hidden="true">
                 ${currentSwipeId + 1}/${totalSwipes}
             </div>
+            <div class="swipe-unlock-favorite swipe-unlock-action" title="Favorite this swipe">
+                <i class="fa-regular fa-star"></i>
+            </div>
+            <div class="swipe-unlock-next-favorite swipe-unlock-action" title="Next favorite swipe">
+                <i class="fa-solid fa-forward"></i>
+            </div>
+            <div class="swipe-unlock-mark swipe-unlock-action" title="Rate and tag this swipe">
+                <i class="fa-solid fa-tags"></i>
+            </div>
+            <span class="swipe-unlock-announcer" role="status" aria-live="polite" aria-atomic="true"></span>
             <div class="swipe-unlock-right swipe-unlock-btn" title="Next swipe">
                 <i class="fa-solid fa-chevron-right"></i>
             </div>
-            <div class="swipe-unlock-translation-toggle" title="Toggle translation">
+            <div class="swipe-unlock-translation-toggle${showTranslation ? ' active' : ''}" title="${showTranslation ? 'Show original' : 'Show translation'}">
                 <i class="fa-solid fa-language"></i>
             </div>
+            <div class="swipe-unlock-bilingual-toggle${unlockedMessages.get(messageId)?.bilingual ? ' active' : ''}" title="Show original and translation together">
+                <i class="fa-solid fa-table-columns"></i>
+            </div>
+            <div class="swipe-unlock-translation-status" data-status="" title="Checking translation...">
+                <i class="fa-solid fa-circle-question"></i>
+            </div>
+            <span class="swipe-unlock-translation-progress"></span>
+            <div class="swipe-unlock-translate-all swipe-unlock-action" title="Translate all missing swipes">
+                <i class="fa-solid fa-globe"></i>
+            </div>
             <div class="swipe-unlock-copy" title="Copy text">
                 <i class="fa-solid fa-copy"></i>
             </div>
+            <div class="swipe-unlock-commit swipe-unlock-action" title="Use this swipe">
+                <i class="fa-solid fa-check"></i>
+            </div>
+            <div class="swipe-unlock-use-in-prompt swipe-unlock-action" title="Use shown swipe in next prompt only">
+                <i class="fa-solid fa-paper-plane"></i>
+            </div>
+            <span class="swipe-unlock-prompt-badge">In next prompt</span>
+            <div class="swipe-unlock-edit swipe-unlock-action" title="Edit this swipe">
+                <i class="fa-solid fa-pencil"></i>
+            </div>
+            <div class="swipe-unlock-compose swipe-unlock-action" title="Compose a new swipe from paragraphs">
+                <i class="fa-solid fa-puzzle-piece"></i>
+            </div>
+            <div class="swipe-unlock-import swipe-unlock-action" title="Import texts as swipes">
+                <i class="fa-solid fa-file-import"></i>
+            </div>
+            <div class="swipe-unlock-delete swipe-unlock-action" title="Delete this swipe">
+                <i class="fa-solid fa-trash-can"></i>
+            </div>
+            <div class="swipe-unlock-compare swipe-unlock-action" title="Compare swipes">
+                <i class="fa-solid fa-code-compare"></i>
+            </div>
+            <div class="swipe-unlock-gallery-toggle swipe-unlock-action" title="Show all swipes">
+                <i class="fa-solid fa-table-cells-large"></i>
+            </div>
+            <div class="swipe-unlock-branch swipe-unlock-action" title="Branch from here">
+                <i class="fa-solid fa-code-branch"></i>
+            </div>
+            <div class="swipe-unlock-export swipe-unlock-action" title="Export swipes">
+                <i class="fa-solid fa-file-export"></i>
+            </div>
+            <div class="swipe-unlock-info-toggle swipe-unlock-action" title="Show swipe details">
+                <i class="fa-solid fa-circle-info"></i>
+            </div>
+            <div class="swipe-unlock-undo swipe-unlock-action" title="Undo">
+                <i class="fa-solid fa-rotate-left"></i>
+            </div>
+            <div class="swipe-unlock-redo swipe-unlock-action" title="Redo">
+                <i class="fa-solid fa-rotate-right"></i>
+            </div>
+            <div class="swipe-unlock-history swipe-unlock-action" title="Swipe history">
+                <i class="fa-solid fa-clock-rotate-left"></i>
+            </div>
+        </div>
+        <div class="swipe-unlock-info" style="display: none;">
+            <div class="swipe-unlock-info-details"></div>
+            <div class="swipe-unlock-info-controls">
+                <select class="text_pole swipe-unlock-model-filter" title="Only navigate swipes from this model"></select>
+                <select class="text_pole swipe-unlock-sort" title="Navigation order">
+                    <option value="index">Order: swipe number</option>
+                    <option value="date">Order: date</option>
+                    <option value="model">Order: model</option>
+                </select>
+                <label class="checkbox_label" title="Navigate only one swipe of each group of near-duplicates">
+                    <input type="checkbox" class="swipe-unlock-skip-duplicates">
+                    Skip near-duplicates
+                </label>
+                <div class="swipe-unlock-remove-duplicates menu_button" title="Delete near-duplicate swipes">Remove duplicates</div>
+            </div>
         </div>
     `;
     
@@ -426,9 +1707,18 @@ function addSwipeNavigationToMessage(messageElement, messageId) {
         mesBlock.append(swipeNavHtml);
     }
     
+    // Make every control keyboard accessible, labelled by its tooltip
+    messageElement.find('.swipe-unlock-navigation > [title]').each(function() {
+        const button = $(this);
+        button.attr({ 'role': 'button', 'tabindex': '0', 'aria-label': button.attr('title') });
+    });
+    
     // Update button states
     updateSwipeButtonStates(messageElement, messageId);
     
+    // Hide buttons disabled in settings
+    applySettings();
+    
     // Highlight original swipe number
     highlightOriginalSwipe(messageElement, messageId);
 }
@@ -437,7 +1727,10 @@ function addSwipeNavigationToMessage(messageElement, messageId) {
  * Remove swipe navigation UI from a message
  */
 function removeSwipeNavigationFromMessage(messageElement) {
+    closeSwipeEditor(messageElement);
     messageElement.find('.swipe-unlock-navigation').remove();
+    messageElement.find('.swipe-unlock-info').remove();
+    messageElement.find('.swipe-unlock-gallery').remove();
 }
 
 /**
@@ -456,14 +1749,139 @@ function updateSwipeButtonStates(messageElement, messageId) {
     const counter = messageElement.find('.swipe-unlock-counter');
     
     // Update counter
-    counter.html(`${currentSwipeId + 1}/${totalSwipes}`);
+    counter.html(`${currentSwipeId + 1}/${totalSwipes}${renderSwipeMarkBadges(getSwipeMark(message, currentSwipeId))}${renderDuplicateBadge(message, currentSwipeId)}`);
     
-    // Update button states
-    leftBtn.toggleClass('disabled', currentSwipeId <= 0);
-    rightBtn.toggleClass('disabled', currentSwipeId >= totalSwipes - 1);
+    // Favorite button state
+    const isFavorite = getSwipeMark(message, currentSwipeId).favorite;
+    messageElement.find('.swipe-unlock-favorite')
+        .toggleClass('active', isFavorite)
+        .attr('aria-pressed', String(isFavorite))
+        .find('i')
+        .toggleClass('fa-solid', isFavorite)
+        .toggleClass('fa-regular', !isFavorite);
+    messageElement.find('.swipe-unlock-next-favorite')
+        .toggleClass('disabled', !message.swipes.some((_, index) => index !== currentSwipeId && getSwipeMark(message, index).favorite));
+    
+    // Announce the position to screen readers
+    const isOriginal = unlockedMessages.get(messageId)?.originalSwipeId === currentSwipeId;
+    messageElement.find('.swipe-unlock-announcer')
+        .text(`Swipe ${currentSwipeId + 1} of ${totalSwipes}${isOriginal ? ', original' : ''}`);
+    
+    // Update button states (relative to the filtered/sorted navigation order)
+    const order = getNavigationOrder(messageId);
+    const position = order.indexOf(currentSwipeId);
+    leftBtn.toggleClass('disabled', order.length === 0 || position === 0);
+    rightBtn.toggleClass('disabled', order.length === 0 || position === order.length - 1);
+    
+    // Per-swipe generation metadata
+    updateSwipeInfo(messageElement, messageId);
+    
+    // Committing only makes sense for a swipe other than the current canonical one
+    const messageState = unlockedMessages.get(messageId);
+    const commitBtn = messageElement.find('.swipe-unlock-commit');
+    commitBtn.toggleClass('disabled', !messageState || currentSwipeId === messageState.originalSwipeId);
     
     // Highlight original swipe
     highlightOriginalSwipe(messageElement, messageId);
+    
+    // "Use in next prompt" indicator
+    updatePromptIndicator(messageElement, messageId);
+    
+    // Undo/redo availability
+    updateHistoryButtons();
+    
+    // Translation status of the shown swipe
+    refreshTranslationStatus(message);
+    
+    // Mirror disabled state for assistive technology
+    messageElement.find('.swipe-unlock-navigation [role="button"]').each(function() {
+        $(this).attr('aria-disabled', String($(this).hasClass('disabled')));
+    });
+    
+    // Keep an open gallery in sync
+    if (messageElement.find('.swipe-unlock-gallery').length) {
+        renderSwipeGallery(messageElement, messageId);
+    }
+}
+
+/**
+ * Get generation time of a swipe in milliseconds (null if unknown)
+ */
+function getSwipeGenerationTime(message, swipeId) {
+    const swipeInfo = message.swipe_info?.[swipeId];
+    if (!swipeInfo?.gen_started || !swipeInfo?.gen_finished) return null;
+    
+    const duration = new Date(swipeInfo.gen_finished).getTime() - new Date(swipeInfo.gen_started).getTime();
+    return Number.isFinite(duration) && duration >= 0 ? duration : null;
+}
+
+/**
+ * Open or close the swipe gallery of an unlocked message
+ */
+function toggleSwipeGallery(messageElement, messageId) {
+    if (!unlockedMessages.has(messageId)) return;
+    
+    const gallery = messageElement.find('.swipe-unlock-gallery');
+    const toggleButton = messageElement.find('.swipe-unlock-gallery-toggle');
+    
+    if (gallery.length) {
+        gallery.remove();
+        toggleButton.removeClass('active');
+        return;
+    }
+    
+    messageElement.find('.swipe-unlock-navigation').after('<div class="swipe-unlock-gallery"></div>');
+    toggleButton.addClass('active');
+    renderSwipeGallery(messageElement, messageId);
+}
+
+/**
+ * Render swipe cards into the gallery of an unlocked message
+ */
+function renderSwipeGallery(messageElement, messageId) {
+    const gallery = messageElement.find('.swipe-unlock-gallery');
+    const messageState = unlockedMessages.get(messageId);
+    const message = getChatArray()[messageId];
+    if (!gallery.length || !messageState || !message) return;
+    
+    const currentSwipeId = message.swipe_id || 0;
+    
+    const cards = message.swipes.map((swipeText, index) => {
+        const plainText = $('<div>').html(swipeText || '').text();
+        const excerpt = plainText.length > 160 ? `${plainText.slice(0, 160)}…` : plainText;
+        const generationTime = getSwipeGenerationTime(message, index);
+        
+        const meta = [`${plainText.length} chars`];
+        if (generationTime !== null) {
+            meta.push(`${(generationTime / 1000).toFixed(1)}s`);
+        }
+        meta.push(escapeHtml(getSwipeMetadata(message, index).model));
+        
+        const classes = ['swipe-unlock-gallery-card'];
+        if (index === currentSwipeId) classes.push('active');
+        
+        const mark = getSwipeMark(message, index);
+        const badge = (index === messageState.originalSwipeId
+            ? '<span class="swipe-unlock-gallery-badge">Original</span>'
+            : '') + renderSwipeMarkBadges(mark) + renderDuplicateBadge(message, index);
+        const tags = mark.tags.length
+            ? `<div class="swipe-unlock-gallery-tags">${mark.tags.map(tag => `<span class="swipe-unlock-tag">${escapeHtml(tag)}</span>`).join('')}</div>`
+            : '';
+        
+        return `
+            <div class="${classes.join(' ')}" data-swipe="${index}" title="Show swipe ${index + 1}">
+                <div class="swipe-unlock-gallery-card-header">
+                    <span>#${index + 1}</span>
+                    ${badge}
+                </div>
+                <div class="swipe-unlock-gallery-excerpt">${escapeHtml(excerpt)}</div>
+                <div class="swipe-unlock-gallery-meta">${meta.join(' · ')}</div>
+                ${tags}
+            </div>
+        `;
+    });
+    
+    gallery.html(cards.join(''));
 }
 
 /**
@@ -498,163 +1916,3800 @@ function swipeUnlockedMessage(messageId, direction) {
     if (!message) return;
     
     const currentSwipeId = message.swipe_id || 0;
-    const totalSwipes = message.swipes.length;
+    const order = getNavigationOrder(messageId);
+    if (!order.length) return;
+    
+    const position = order.indexOf(currentSwipeId);
+    let newSwipeId;
+    
+    if (position === -1) {
+        // The shown swipe is filtered out and has no place in the sorted order:
+        // enter it from the start going forward, from the end going back
+        newSwipeId = direction > 0 ? order[0] : order.at(-1);
+    } else {
+        // Bounds check
+        const newPosition = Math.min(Math.max(position + direction, 0), order.length - 1);
+        newSwipeId = order[newPosition];
+    }
+    
+    goToUnlockedSwipe(messageId, newSwipeId);
+}
+
+/**
+ * Get the swipe indices of an unlocked message in navigation order (model filter and sort applied)
+ */
+function getNavigationOrder(messageId) {
+    const message = getChatArray()[messageId];
+    const messageState = unlockedMessages.get(messageId);
+    if (!message?.swipes) return [];
     
-    let newSwipeId = currentSwipeId + direction;
+    let order = message.swipes.map((_, index) => index);
+    if (!messageState) return order;
     
-    // Bounds check
-    if (newSwipeId < 0) newSwipeId = 0;
-    if (newSwipeId >= totalSwipes) newSwipeId = totalSwipes - 1;
+    if (messageState.modelFilter) {
+        order = order.filter(swipeId => getSwipeMetadata(message, swipeId).model === messageState.modelFilter);
+    }
     
-    if (newSwipeId === currentSwipeId) return; // No change
+    if (messageState.skipDuplicates) {
+        order = order.filter(swipeId => getDuplicateRepresentative(message, swipeId, messageState.originalSwipeId) === swipeId);
+    }
     
-    // Update message data
-    message.swipe_id = newSwipeId;
+    if (messageState.sortMode === 'date') {
+        const time = (swipeId) => getSwipeMetadata(message, swipeId).timestamp ?? Number.MAX_SAFE_INTEGER;
+        order.sort((a, b) => time(a) - time(b) || a - b);
+    } else if (messageState.sortMode === 'model') {
+        order.sort((a, b) => getSwipeMetadata(message, a).model.localeCompare(getSwipeMetadata(message, b).model) || a - b);
+    }
     
-    // Update UI
-    const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+    return order;
+}
+
+/**
+ * Read generation metadata of a swipe from its swipe_info entry
+ */
+function getSwipeMetadata(message, swipeId) {
+    const swipeInfo = message.swipe_info?.[swipeId] || {};
+    const extra = swipeInfo.extra || {};
+    
+    let timestamp = null;
+    let sendDate = '';
+    if (swipeInfo.send_date) {
+        const moment = timestampToMoment(swipeInfo.send_date);
+        if (moment?.isValid()) {
+            timestamp = moment.valueOf();
+            sendDate = moment.format('LL LT');
+        } else {
+            sendDate = String(swipeInfo.send_date);
+        }
+    }
+    
+    return {
+        sendDate,
+        timestamp,
+        generationTime: getSwipeGenerationTime(message, swipeId),
+        api: extra.api || '',
+        model: extra.model || 'Unknown',
+        tokenCount: extra.token_count ?? null,
+    };
+}
+
+/**
+ * Update the tooltip and info row with metadata of the shown swipe
+ */
+function updateSwipeInfo(messageElement, messageId) {
+    const message = getChatArray()[messageId];
     const messageState = unlockedMessages.get(messageId);
-    updateMessageDisplay(messageElement, messageId, newSwipeId, messageState.showTranslation, true);
-    updateSwipeButtonStates(messageElement, messageId);
+    if (!message || !messageState) return;
+    
+    const currentSwipeId = message.swipe_id || 0;
+    const metadata = getSwipeMetadata(message, currentSwipeId);
+    
+    const details = [
+        ['Model', metadata.model],
+        ['API', metadata.api],
+        ['Sent', metadata.sendDate],
+        ['Generation time', metadata.generationTime !== null ? `${(metadata.generationTime / 1000).toFixed(1)}s` : ''],
+        ['Tokens', metadata.tokenCount !== null ? String(metadata.tokenCount) : ''],
+    ].filter(([, value]) => value);
+    
+    messageElement.find('.swipe-unlock-counter')
+        .attr('title', details.map(([label, value]) => `${label}: ${value}`).join('\n'));
+    
+    messageElement.find('.swipe-unlock-info-details').html(details
+        .map(([label, value]) => `<span><b>${label}:</b> ${escapeHtml(value)}</span>`)
+        .join(''));
+    
+    // Model filter options
+    const models = [...new Set(message.swipes.map((_, index) => getSwipeMetadata(message, index).model))].sort();
+    const filter = messageElement.find('.swipe-unlock-model-filter');
+    const options = ['<option value="">All models</option>']
+        .concat(models.map(model => `<option value="${escapeHtml(model)}">${escapeHtml(model)}</option>`))
+        .join('');
+    if (filter.html() !== options) {
+        filter.html(options);
+    }
+    filter.val(messageState.modelFilter);
+    messageElement.find('.swipe-unlock-sort').val(messageState.sortMode);
+    messageElement.find('.swipe-unlock-skip-duplicates').prop('checked', messageState.skipDuplicates);
+    messageElement.find('.swipe-unlock-remove-duplicates')
+        .toggleClass('disabled', !getDuplicateGroups(message).groups.length);
 }
 
 /**
- * Toggle translation display for a specific message
+ * Set model filter / sort mode of an unlocked message and keep the shown swipe navigable
  */
-function toggleTranslation(messageId) {
+function setNavigationOptions(messageId, { modelFilter, sortMode, skipDuplicates }) {
     const messageState = unlockedMessages.get(messageId);
-    if (!messageState) return;
+    const message = getChatArray()[messageId];
+    if (!messageState || !message) return;
     
-    messageState.showTranslation = !messageState.showTranslation;
+    if (modelFilter !== undefined) messageState.modelFilter = modelFilter;
+    if (sortMode !== undefined) messageState.sortMode = sortMode;
+    if (skipDuplicates !== undefined) messageState.skipDuplicates = skipDuplicates;
     
-    // Update toggle button appearance for this specific message
-    const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
-    const toggleButton = messageElement.find('.swipe-unlock-translation-toggle');
-    if (messageState.showTranslation) {
-        toggleButton.addClass('active');
-        toggleButton.attr('title', 'Show original');
+    const order = getNavigationOrder(messageId);
+    if (order.length && !order.includes(message.swipe_id || 0)) {
+        // A skipped duplicate is replaced by the swipe representing its group
+        const representative = getDuplicateRepresentative(message, message.swipe_id || 0, messageState.originalSwipeId);
+        goToUnlockedSwipe(messageId, order.includes(representative) ? representative : order[0]);
     } else {
-        toggleButton.removeClass('active');
-        toggleButton.attr('title', 'Show translation');
+        updateSwipeButtonStates($(`#chat .mes[mesid="${messageId}"]`), messageId);
     }
+}
+
+/**
+ * Show a specific swipe of an unlocked message
+ */
+function goToUnlockedSwipe(messageId, swipeId, { scroll = true, record = true } = {}) {
+    if (!unlockedMessages.has(messageId)) return false;
     
-    // Update message display
     const chatArray = getChatArray();
     const message = chatArray[messageId];
-    if (message) {
-        updateMessageDisplay(messageElement, messageId, message.swipe_id || 0, messageState.showTranslation, true);
+    if (!message) return false;
+    
+    if (!Number.isInteger(swipeId) || swipeId < 0 || swipeId >= message.swipes.length) return false;
+    
+    const currentSwipeId = message.swipe_id || 0;
+    if (swipeId === currentSwipeId) return true; // No change
+    
+    if (record) {
+        recordSwipeHistory({ type: 'swipe', message, from: currentSwipeId, to: swipeId });
     }
+    
+    // Update message data
+    message.swipe_id = swipeId;
+    
+    // Update UI (an open editor belongs to the previous swipe)
+    const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+    closeSwipeEditor(messageElement);
+    const messageState = unlockedMessages.get(messageId);
+    updateMessageDisplay(messageElement, messageId, swipeId, messageState.showTranslation, scroll);
+    updateSwipeButtonStates(messageElement, messageId);
+    
+    persistUnlockState();
+    emitSwipeUnlockEvent(SWIPE_UNLOCK_EVENTS.SWIPE_CHANGED, messageId, { previousSwipeId: currentSwipeId });
+    return true;
 }
 
 /**
- * Copy message text (original or translation based on current state)
+ * Apply a swipe's text and per-swipe metadata to the message fields
+ * (mirrors what SillyTavern does when swiping the last message)
  */
-async function copyMessageText(messageId) {
+function applySwipeToMessage(message, swipeId) {
+    const swipeInfo = message.swipe_info?.[swipeId];
+    
+    message.swipe_id = swipeId;
+    message.mes = message.swipes[swipeId];
+    
+    if (swipeInfo) {
+        const marks = readSwipeMarks(message);
+        
+        message.send_date = swipeInfo.send_date || message.send_date;
+        message.gen_started = swipeInfo.gen_started;
+        message.gen_finished = swipeInfo.gen_finished;
+        message.extra = structuredClone(swipeInfo.extra || {});
+        
+        // Marks describe all swipes, not the selected one
+        if (marks) {
+            writeSwipeMarks(message, marks);
+        }
+    }
+}
+
+/**
+ * Capture the fields changed by applySwipeToMessage so a commit can be undone
+ */
+function getMessageSelectionSnapshot(message, swipeId) {
+    return structuredClone({
+        swipe_id: swipeId,
+        mes: message.mes,
+        send_date: message.send_date,
+        gen_started: message.gen_started,
+        gen_finished: message.gen_finished,
+        extra: message.extra,
+    });
+}
+
+/**
+ * Commit the currently viewed swipe of an unlocked message as its canonical swipe and save the chat
+ */
+async function commitUnlockedSwipe(messageId, { confirm = true } = {}) {
     const messageState = unlockedMessages.get(messageId);
-    if (!messageState) return;
+    if (!messageState) return false;
     
     const chatArray = getChatArray();
     const message = chatArray[messageId];
-    if (!message) return;
+    if (!message) return false;
     
     const swipeId = message.swipe_id || 0;
-    let textToCopy = message.swipes[swipeId];
+    if (swipeId === messageState.originalSwipeId) {
+        toastr.info('This swipe is already the selected one.');
+        return false;
+    }
     
-    // If translation is enabled, get translation text
-    if (messageState.showTranslation) {
-        const translation = await getSwipeTranslation(messageId, swipeId);
-        if (translation) {
-            textToCopy = translation;
-        }
+    if (confirm) {
+        const result = await callGenericPopup(
+            `Use swipe ${swipeId + 1} as the text of message #${messageId}? The chat will be saved.`,
+            POPUP_TYPE.CONFIRM,
+        );
+        if (result !== POPUP_RESULT.AFFIRMATIVE) return false;
     }
     
-    // Remove HTML tags and get plain text
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = textToCopy;
-    const plainText = tempDiv.textContent || tempDiv.innerText || '';
+    const snapshot = getMessageSelectionSnapshot(message, messageState.originalSwipeId);
+    const previousParts = messageState.swipeParts;
     
-    // Copy to clipboard
-    try {
-        await navigator.clipboard.writeText(plainText);
-        toastr.success('Text copied to clipboard');
-    } catch (error) {
-        // Fallback for older browsers
-        const textArea = document.createElement('textarea');
-        textArea.value = plainText;
-        textArea.style.position = 'fixed';
-        textArea.style.left = '-999999px';
-        document.body.appendChild(textArea);
-        textArea.select();
-        try {
-            document.execCommand('copy');
-            toastr.success('Text copied to clipboard');
-        } catch (err) {
-            toastr.error('Failed to copy text');
-        }
-        document.body.removeChild(textArea);
+    applySwipeToMessage(message, swipeId);
+    messageState.originalSwipeId = swipeId;
+    
+    // What is rendered now is what locking should go back to
+    const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+    if (messageElement.length) {
+        messageState.swipeParts = captureSwipeParts(messageElement);
     }
+    updateSwipeButtonStates(messageElement, messageId);
+    
+    recordSwipeHistory({
+        type: 'commit',
+        message,
+        from: snapshot.swipe_id,
+        to: swipeId,
+        snapshot,
+        previousParts,
+    });
+    emitSwipeUnlockEvent(SWIPE_UNLOCK_EVENTS.SWIPE_CHANGED, messageId, { previousSwipeId: snapshot.swipe_id, change: 'commit' });
+    
+    await saveChatConditional();
+    
+    toastr.success(`Swipe ${swipeId + 1} is now used for message #${messageId}. Click to undo.`, '', {
+        timeOut: 10000,
+        onclick: () => undoSwipeCommit(message, snapshot, previousParts),
+    });
+    
+    return true;
 }
 
 /**
- * Update message display with new swipe content
+ * Revert a commit made by commitUnlockedSwipe
  */
-async function updateMessageDisplay(messageElement, messageId, swipeId, showTranslation = false, shouldScroll = false) {
-    const chatArray = getChatArray();
-    const message = chatArray[messageId];
-    if (!message) return;
-    
-    const swipeContent = message.swipes[swipeId];
-    let displayContent = swipeContent;
-    
-    // Get translation if toggle is on
-    if (showTranslation) {
-        const translation = await getSwipeTranslation(messageId, swipeId);
-        if (translation) {
-            displayContent = translation;
-        }
+async function undoSwipeCommit(message, snapshot, previousParts = null) {
+    // The message may have moved (or disappeared) since the commit
+    const messageId = getChatArray().indexOf(message);
+    if (messageId === -1) {
+        toastr.warning('The message no longer exists in the current chat.');
+        return;
     }
     
-    // Update message text
-    const mesText = messageElement.find('.mes_text');
-    if (mesText.length && displayContent) {
-        try {
-            // Try to use SillyTavern's messageFormatting function
-            const formattedContent = messageFormatting(
-                displayContent,
-                message.name,
-                message.is_system || false,
-                message.is_user || false,
-                messageId
-            );
-            mesText.html(formattedContent);
-        } catch (error) {
-            console.warn('Failed to use messageFormatting, using fallback:', error);
-            // Fallback: simple HTML escaping and basic formatting
-            const escapedContent = $('<div>').text(displayContent).html();
-            mesText.html(escapedContent);
+    const viewedSwipeId = message.swipe_id || 0;
+    const committedSwipeId = unlockedMessages.get(messageId)?.originalSwipeId ?? viewedSwipeId;
+    // The snapshot's extra has the marks as of the commit, keep later changes
+    const marks = readSwipeMarks(message);
+    Object.assign(message, structuredClone(snapshot));
+    writeSwipeMarks(message, marks);
+    
+    const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+    const messageState = unlockedMessages.get(messageId);
+    if (messageState) {
+        // Keep browsing the same swipe, only the canonical one changes back
+        messageState.originalSwipeId = snapshot.swipe_id;
+        if (previousParts) {
+            messageState.swipeParts = previousParts;
         }
+        message.swipe_id = viewedSwipeId;
+        renderSwipeParts(messageElement, messageId, viewedSwipeId);
+        updateSwipeButtonStates(messageElement, messageId);
+    } else if (messageElement.length) {
+        // Let SillyTavern re-render text, reasoning and media from the restored fields
+        updateMessageBlock(messageId, message);
     }
+    emitSwipeUnlockEvent(SWIPE_UNLOCK_EVENTS.SWIPE_CHANGED, messageId, { previousSwipeId: committedSwipeId, change: 'commit' });
     
-    // Scroll to message if requested (after content update)
-    if (shouldScroll) {
-        setTimeout(() => {
-            scrollToMessage(messageElement);
-        }, 50);
-    }
+    await saveChatConditional();
+    toastr.info('Swipe selection restored.');
 }
 
 /**
- * Handle chat changes (new messages, etc.)
+ * Open an inline editor for the shown swipe of an unlocked message
  */
-function handleChatChange() {
-    // Add icons to new messages
-    setTimeout(() => {
-        addLockIconsToMessages();
-    }, 100);
+function openSwipeEditor(messageElement, messageId) {
+    const message = getChatArray()[messageId];
+    if (!message || !unlockedMessages.has(messageId)) return;
     
-    // Note: Unlocked messages remain unlocked even when chat changes
-    // Users can manually lock them if needed
-}
+    closeSwipeEditor(messageElement);
+    
+    const swipeId = message.swipe_id || 0;
+    const editor = $(`
+        <div class="swipe-unlock-editor" data-swipe="${swipeId}">
+            <textarea class="text_pole swipe-unlock-editor-text" rows="8"></textarea>
+            <div class="swipe-unlock-editor-buttons">
+                <div class="menu_button swipe-unlock-editor-save" title="Save swipe ${swipeId + 1}">
+                    <i class="fa-solid fa-check"></i> Save
+                </div>
+                <div class="menu_button swipe-unlock-editor-cancel" title="Discard changes">
+                    <i class="fa-solid fa-xmark"></i> Cancel
+                </div>
+            </div>
+        </div>
+    `);
+    editor.find('textarea').val(message.swipes[swipeId] ?? '');
+    
+    messageElement.find('.mes_text').hide().after(editor);
+    editor.find('textarea').trigger('focus');
+}
+
+/**
+ * Close the inline swipe editor without saving
+ */
+function closeSwipeEditor(messageElement) {
+    const editor = messageElement.find('.swipe-unlock-editor');
+    if (!editor.length) return;
+    
+    editor.remove();
+    messageElement.find('.mes_text').show();
+}
+
+/**
+ * Save an edited swipe back into the message (and mes if it is the selected swipe)
+ */
+async function saveSwipeEdit(messageId, swipeId, text) {
+    const messageState = unlockedMessages.get(messageId);
+    const message = getChatArray()[messageId];
+    if (!messageState || !message || swipeId >= message.swipes.length) return;
+    
+    const previousText = message.swipes[swipeId];
+    const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+    closeSwipeEditor(messageElement);
+    
+    if (text === previousText) return;
+    
+    setSwipeText(message, swipeId, text, messageState.originalSwipeId);
+    updateMessageDisplay(messageElement, messageId, message.swipe_id || 0, messageState.showTranslation, false);
+    updateSwipeButtonStates(messageElement, messageId);
+    emitSwipeUnlockEvent(SWIPE_UNLOCK_EVENTS.SWIPE_CHANGED, messageId, { previousSwipeId: swipeId, change: 'edit' });
+    
+    await saveChatConditional();
+    
+    toastr.success(`Swipe ${swipeId + 1} saved. Click to undo.`, '', {
+        timeOut: 10000,
+        onclick: async () => {
+            const currentMessageId = getChatArray().indexOf(message);
+            if (currentMessageId === -1 || message.swipes[swipeId] !== text) {
+                toastr.warning('The swipe has changed since, it was not restored.');
+                return;
+            }
+            
+            const currentState = unlockedMessages.get(currentMessageId);
+            setSwipeText(message, swipeId, previousText, currentState?.originalSwipeId ?? message.swipe_id ?? 0);
+            
+            const currentElement = $(`#chat .mes[mesid="${currentMessageId}"]`);
+            if (currentState) {
+                updateMessageDisplay(currentElement, currentMessageId, message.swipe_id || 0, currentState.showTranslation, false);
+            } else if (currentElement.length) {
+                updateMessageBlock(currentMessageId, message);
+            }
+            emitSwipeUnlockEvent(SWIPE_UNLOCK_EVENTS.SWIPE_CHANGED, currentMessageId, { previousSwipeId: swipeId, change: 'edit' });
+            
+            await saveChatConditional();
+            toastr.info('Swipe text restored.');
+        },
+    });
+}
+
+/**
+ * Set the text of a swipe, keeping mes in sync when it is the selected swipe
+ */
+function setSwipeText(message, swipeId, text, selectedSwipeId) {
+    message.swipes[swipeId] = text;
+    if (swipeId === selectedSwipeId) {
+        message.mes = text;
+    }
+}
+
+/**
+ * Delete the shown swipe of an unlocked message, fixing selected/shown indices, and save the chat
+ */
+async function deleteUnlockedSwipe(messageId, { confirm = true } = {}) {
+    const messageState = unlockedMessages.get(messageId);
+    const message = getChatArray()[messageId];
+    if (!messageState || !message) return false;
+    
+    if (message.swipes.length <= 1) {
+        toastr.warning('Cannot delete the only swipe of a message.');
+        return false;
+    }
+    
+    const swipeId = message.swipe_id || 0;
+    const isSelected = swipeId === messageState.originalSwipeId;
+    
+    if (confirm) {
+        const replacement = swipeId === message.swipes.length - 1 ? 'previous' : 'next';
+        const warning = isSelected ? ` It is the selected swipe, the ${replacement} one will be selected instead.` : '';
+        const result = await callGenericPopup(
+            `Delete swipe ${swipeId + 1} of message #${messageId}?${warning} The chat will be saved.`,
+            POPUP_TYPE.CONFIRM,
+        );
+        if (result !== POPUP_RESULT.AFFIRMATIVE) return false;
+    }
+    
+    const removed = removeSwipeFromMessage(message, messageState, swipeId);
+    const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+    
+    // The captured original parts belong to the deleted swipe now
+    if (isSelected && messageElement.length) {
+        updateMessageBlock(messageId, message);
+        messageState.swipeParts = captureSwipeParts(messageElement);
+    }
+    
+    // Show the swipe that took the deleted one's place
+    message.swipe_id = Math.min(swipeId, message.swipes.length - 1);
+    
+    if (message.swipes.length <= 1) {
+        lockMessage(messageId, messageElement);
+    } else {
+        closeSwipeEditor(messageElement);
+        updateMessageDisplay(messageElement, messageId, message.swipe_id, messageState.showTranslation, false);
+        updateSwipeButtonStates(messageElement, messageId);
+    }
+    emitSwipeUnlockEvent(SWIPE_UNLOCK_EVENTS.SWIPE_CHANGED, messageId, { previousSwipeId: swipeId, change: 'delete' });
+    
+    await saveChatConditional();
+    
+    toastr.success(`Swipe ${swipeId + 1} deleted. Click to undo.`, '', {
+        timeOut: 10000,
+        onclick: () => undoSwipeDelete(message, [removed]),
+    });
+    
+    return true;
+}
+
+/**
+ * Remove a swipe (text, swipe_info, marks) from an unlocked message and fix its selected swipe.
+ * Returns what undoSwipeDelete needs to put it back.
+ */
+function removeSwipeFromMessage(message, messageState, swipeId) {
+    const removed = {
+        swipeId,
+        text: message.swipes[swipeId],
+        hasInfo: Array.isArray(message.swipe_info) && swipeId < message.swipe_info.length,
+        info: message.swipe_info?.[swipeId],
+        mark: getSwipeMark(message, swipeId),
+        selection: getMessageSelectionSnapshot(message, messageState.originalSwipeId),
+        paths: shiftSwipePathSelections(getChatArray().indexOf(message), swipeId, -1),
+    };
+    
+    message.swipes.splice(swipeId, 1);
+    // Recorded swipe numbers of this message no longer match
+    forgetSwipeHistory(message);
+    shiftSwipeMarks(message, swipeId, -1);
+    if (removed.hasInfo) {
+        message.swipe_info.splice(swipeId, 1);
+    }
+    
+    // Fix the selected swipe index
+    if (swipeId < messageState.originalSwipeId) {
+        messageState.originalSwipeId--;
+    } else if (swipeId === messageState.originalSwipeId) {
+        messageState.originalSwipeId = Math.min(swipeId, message.swipes.length - 1);
+        applySwipeToMessage(message, messageState.originalSwipeId);
+    }
+    
+    return removed;
+}
+
+/**
+ * Re-insert swipes removed by removeSwipeFromMessage, given in the order they were removed
+ */
+async function undoSwipeDelete(message, removedSwipes) {
+    const messageId = getChatArray().indexOf(message);
+    if (messageId === -1) {
+        toastr.warning('The message no longer exists in the current chat.');
+        return;
+    }
+    
+    let viewedSwipeId = message.swipe_id || 0;
+    const paths = getSwipePaths();
+    
+    // Last removed goes back first, so every recorded swipe ID is valid again when it is reached
+    for (const removed of removedSwipes.slice().reverse()) {
+        const marks = readSwipeMarks(message);
+        message.swipes.splice(removed.swipeId, 0, removed.text);
+        if (removed.hasInfo && Array.isArray(message.swipe_info) && message.swipe_info.length >= removed.swipeId) {
+            message.swipe_info.splice(removed.swipeId, 0, removed.info);
+        }
+        
+        // Selection goes back to what it was before the delete, marks keep changes made since
+        Object.assign(message, structuredClone(removed.selection));
+        writeSwipeMarks(message, marks);
+        shiftSwipeMarks(message, removed.swipeId, 1);
+        setSwipeMark(message, removed.swipeId, removed.mark);
+        
+        shiftSwipePathSelections(messageId, removed.swipeId, 1);
+        for (const name of removed.paths) {
+            if (paths[name]?.selections) paths[name].selections[messageId] = removed.swipeId;
+        }
+        
+        if (viewedSwipeId >= removed.swipeId) viewedSwipeId++;
+    }
+    forgetSwipeHistory(message);
+    
+    const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+    const messageState = unlockedMessages.get(messageId);
+    if (messageState) {
+        messageState.originalSwipeId = message.swipe_id;
+        message.swipe_id = viewedSwipeId;
+        updateMessageDisplay(messageElement, messageId, message.swipe_id, messageState.showTranslation, false);
+        updateSwipeButtonStates(messageElement, messageId);
+    } else if (messageElement.length) {
+        updateMessageBlock(messageId, message);
+    }
+    emitSwipeUnlockEvent(SWIPE_UNLOCK_EVENTS.SWIPE_CHANGED, messageId, { previousSwipeId: message.swipe_id || 0, change: 'delete' });
+    
+    await saveChatConditional();
+    toastr.info(removedSwipes.length === 1 ? 'Swipe restored.' : `${removedSwipes.length} swipes restored.`);
+}
+
+/**
+ * Normalize swipe text for similarity: lowercase, no markup or punctuation, single spaces
+ */
+function normalizeForSimilarity(text) {
+    return String(text ?? '')
+        .toLowerCase()
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Character shingles of normalized text
+ */
+function getShingles(text) {
+    const shingles = new Set();
+    if (text.length <= DUPLICATE_SHINGLE_SIZE) {
+        if (text) shingles.add(text);
+        return shingles;
+    }
+    
+    for (let i = 0; i <= text.length - DUPLICATE_SHINGLE_SIZE; i++) {
+        shingles.add(text.slice(i, i + DUPLICATE_SHINGLE_SIZE));
+    }
+    return shingles;
+}
+
+/**
+ * Jaccard similarity of two shingle sets
+ */
+function getJaccardSimilarity(a, b) {
+    if (!a.size && !b.size) return 1;
+    
+    const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+    let intersection = 0;
+    for (const shingle of smaller) {
+        if (larger.has(shingle)) intersection++;
+    }
+    return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * Group near-duplicate swipes of a message (cached until its swipes or the threshold change).
+ * groups lists swipe IDs of groups with 2+ members; groupOf maps a swipe ID to its group index or -1.
+ */
+function getDuplicateGroups(message) {
+    const swipes = Array.isArray(message?.swipes) ? message.swipes : [];
+    const threshold = Number(getSettings().duplicateThreshold) || defaultSettings.duplicateThreshold;
+    
+    const cached = duplicateGroupsCache.get(message);
+    if (cached && cached.threshold === threshold && cached.swipes.length === swipes.length
+        && cached.swipes.every((text, index) => text === swipes[index])) {
+        return cached;
+    }
+    
+    // Union-find over pairs above the threshold
+    const parent = swipes.map((_, index) => index);
+    const find = (index) => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+    
+    const shingles = swipes.map(text => getShingles(normalizeForSimilarity(text)));
+    for (let a = 0; a < swipes.length; a++) {
+        for (let b = a + 1; b < swipes.length; b++) {
+            if (find(a) !== find(b) && getJaccardSimilarity(shingles[a], shingles[b]) >= threshold) {
+                parent[find(b)] = find(a);
+            }
+        }
+    }
+    
+    const members = new Map();
+    swipes.forEach((_, index) => {
+        const root = find(index);
+        if (!members.has(root)) members.set(root, []);
+        members.get(root).push(index);
+    });
+    
+    const groups = [...members.values()].filter(group => group.length > 1);
+    const groupOf = swipes.map(() => -1);
+    groups.forEach((group, groupIndex) => group.forEach(swipeId => groupOf[swipeId] = groupIndex));
+    
+    const result = { swipes: swipes.slice(), threshold, groups, groupOf };
+    duplicateGroupsCache.set(message, result);
+    return result;
+}
+
+/**
+ * Swipe kept for a group of near-duplicates: the selected swipe if it is in the group, else the first one
+ */
+function getDuplicateRepresentative(message, swipeId, originalSwipeId) {
+    const { groups, groupOf } = getDuplicateGroups(message);
+    const group = groups[groupOf[swipeId]];
+    if (!group) return swipeId;
+    
+    return group.includes(originalSwipeId) ? originalSwipeId : group[0];
+}
+
+/**
+ * Render the near-duplicate group badge of a swipe
+ */
+function renderDuplicateBadge(message, swipeId) {
+    const { groups, groupOf } = getDuplicateGroups(message);
+    const groupIndex = groupOf[swipeId];
+    if (groupIndex === -1 || groupIndex === undefined) return '';
+    
+    const others = groups[groupIndex].filter(id => id !== swipeId).map(id => id + 1).join(', ');
+    return `<span class="swipe-unlock-duplicate-badge" title="Near-duplicate of swipe(s) ${others}">≈${groupIndex + 1}</span>`;
+}
+
+/**
+ * Delete every near-duplicate of an unlocked message except one swipe per group, after confirmation
+ */
+async function removeDuplicateSwipes(messageId) {
+    const messageState = unlockedMessages.get(messageId);
+    const message = getChatArray()[messageId];
+    if (!messageState || !message) return;
+    
+    const { groups } = getDuplicateGroups(message);
+    const duplicates = groups
+        .flatMap(group => {
+            const representative = getDuplicateRepresentative(message, group[0], messageState.originalSwipeId);
+            return group.filter(swipeId => swipeId !== representative);
+        })
+        .sort((a, b) => b - a);
+    
+    if (!duplicates.length) {
+        toastr.info('No near-duplicate swipes found.');
+        return;
+    }
+    
+    const result = await callGenericPopup(
+        `Delete ${duplicates.length} near-duplicate swipe(s) of message #${messageId} (${duplicates.slice().reverse().map(id => id + 1).join(', ')})? One swipe of each group is kept. The chat will be saved.`,
+        POPUP_TYPE.CONFIRM,
+    );
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+    
+    // The message may have moved while the popup was open
+    const currentMessageId = getChatArray().indexOf(message);
+    if (currentMessageId === -1 || unlockedMessages.get(currentMessageId) !== messageState) return;
+    
+    // Keep showing the same swipe, or the one kept for its group
+    const viewedSwipeId = getDuplicateRepresentative(message, message.swipe_id || 0, messageState.originalSwipeId);
+    
+    // Highest first, so lower swipe IDs stay valid
+    const removedSwipes = duplicates.map(swipeId => removeSwipeFromMessage(message, messageState, swipeId));
+    
+    message.swipe_id = viewedSwipeId - duplicates.filter(swipeId => swipeId < viewedSwipeId).length;
+    
+    const messageElement = $(`#chat .mes[mesid="${currentMessageId}"]`);
+    if (message.swipes.length <= 1) {
+        lockMessage(currentMessageId, messageElement);
+    } else {
+        closeSwipeEditor(messageElement);
+        updateMessageDisplay(messageElement, currentMessageId, message.swipe_id, messageState.showTranslation, false);
+        updateSwipeButtonStates(messageElement, currentMessageId);
+    }
+    emitSwipeUnlockEvent(SWIPE_UNLOCK_EVENTS.SWIPE_CHANGED, currentMessageId, { previousSwipeId: viewedSwipeId, change: 'delete' });
+    
+    await saveChatConditional();
+    toastr.success(`Deleted ${duplicates.length} near-duplicate swipe(s). Click to undo.`, '', {
+        timeOut: 10000,
+        onclick: () => undoSwipeDelete(message, removedSwipes),
+    });
+}
+
+/**
+ * Append a swipe with its own swipe_info entry. Returns the new swipe ID.
+ */
+function appendSwipeToMessage(message, text, extra = {}) {
+    if (!Array.isArray(message.swipe_info)) {
+        message.swipe_info = [];
+    }
+    
+    // Keep swipe_info aligned with swipes for messages that predate it
+    while (message.swipe_info.length < message.swipes.length) {
+        message.swipe_info.push({ send_date: message.send_date, gen_started: null, gen_finished: null, extra: {} });
+    }
+    
+    message.swipes.push(text);
+    message.swipe_info.push({
+        send_date: getMessageTimeStamp(),
+        gen_started: null,
+        gen_finished: null,
+        extra: structuredClone(extra),
+    });
+    
+    return message.swipes.length - 1;
+}
+
+/**
+ * Split swipe text into paragraphs (blank-line separated)
+ */
+function splitIntoParagraphs(text) {
+    return String(text ?? '')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Compose a new swipe from paragraphs of the swipes of an unlocked message
+ */
+async function openSwipeComposer(messageId) {
+    const message = getChatArray()[messageId];
+    if (!message || !unlockedMessages.has(messageId)) return;
+    
+    const sources = message.swipes.map(swipeText => splitIntoParagraphs(swipeText));
+    // Picked paragraphs in order - {swipeId, paragraph, text, original}
+    const composition = [];
+    
+    const container = $(`
+        <div class="swipe-unlock-composer">
+            <h3>Compose a new swipe for message #${messageId}</h3>
+            <div class="swipe-unlock-composer-body">
+                <div class="swipe-unlock-composer-sources">
+                    ${sources.map((paragraphs, swipeId) => `
+                        <div class="swipe-unlock-composer-source">
+                            <h4>Swipe ${swipeId + 1}</h4>
+                            ${paragraphs.map((paragraph, index) => `
+                                <div class="swipe-unlock-composer-paragraph" data-swipe="${swipeId}" data-paragraph="${index}" title="Add this paragraph">
+                                    <i class="fa-solid fa-plus"></i>
+                                    <span>${escapeHtml(paragraph)}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="swipe-unlock-composer-result">
+                    <h4>Composition</h4>
+                    <div class="swipe-unlock-composer-items"></div>
+                    <h4>Preview</h4>
+                    <div class="swipe-unlock-composer-preview mes_text"></div>
+                    <label class="checkbox_label">
+                        <input type="checkbox" class="swipe-unlock-composer-select">
+                        Use the new swipe for this message
+                    </label>
+                </div>
+            </div>
+        </div>
+    `);
+    
+    const getComposedText = () => composition.map(item => item.text.trim()).filter(Boolean).join('\n\n');
+    
+    const renderPreview = () => {
+        const text = getComposedText();
+        const preview = container.find('.swipe-unlock-composer-preview');
+        try {
+            preview.html(messageFormatting(text, message.name, message.is_system || false, message.is_user || false, messageId));
+        } catch (error) {
+            preview.text(text);
+        }
+    };
+    
+    const renderComposition = () => {
+        container.find('.swipe-unlock-composer-items').html(composition.length
+            ? composition.map((item, index) => `
+                <div class="swipe-unlock-composer-item" data-index="${index}">
+                    <div class="swipe-unlock-composer-item-header">
+                        <small>Swipe ${item.swipeId + 1}, paragraph ${item.paragraph + 1}${item.text !== item.original ? ' (edited)' : ''}</small>
+                        <div class="swipe-unlock-composer-up swipe-unlock-action" title="Move up"><i class="fa-solid fa-arrow-up"></i></div>
+                        <div class="swipe-unlock-composer-down swipe-unlock-action" title="Move down"><i class="fa-solid fa-arrow-down"></i></div>
+                        <div class="swipe-unlock-composer-remove swipe-unlock-action" title="Remove"><i class="fa-solid fa-xmark"></i></div>
+                    </div>
+                    <textarea class="text_pole swipe-unlock-composer-text" rows="3">${escapeHtml(item.text)}</textarea>
+                </div>
+            `).join('')
+            : '<div class="swipe-unlock-search-status">Click paragraphs on the left to add them.</div>');
+        renderPreview();
+    };
+    
+    container.on('click', '.swipe-unlock-composer-paragraph', function() {
+        const swipeId = parseInt($(this).attr('data-swipe'));
+        const paragraph = parseInt($(this).attr('data-paragraph'));
+        const text = sources[swipeId][paragraph];
+        composition.push({ swipeId, paragraph, text, original: text });
+        renderComposition();
+    });
+    container.on('click', '.swipe-unlock-composer-up, .swipe-unlock-composer-down', function() {
+        const index = parseInt($(this).closest('.swipe-unlock-composer-item').attr('data-index'));
+        const target = index + ($(this).hasClass('swipe-unlock-composer-up') ? -1 : 1);
+        if (target < 0 || target >= composition.length) return;
+        
+        [composition[index], composition[target]] = [composition[target], composition[index]];
+        renderComposition();
+    });
+    container.on('click', '.swipe-unlock-composer-remove', function() {
+        const index = parseInt($(this).closest('.swipe-unlock-composer-item').attr('data-index'));
+        composition.splice(index, 1);
+        renderComposition();
+    });
+    container.on('input', '.swipe-unlock-composer-text', function() {
+        const index = parseInt($(this).closest('.swipe-unlock-composer-item').attr('data-index'));
+        composition[index].text = String($(this).val());
+        renderPreview();
+    });
+    
+    renderComposition();
+    
+    const result = await callGenericPopup(container, POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Add as swipe',
+        cancelButton: 'Cancel',
+        wide: true,
+        large: true,
+        allowVerticalScrolling: true,
+    });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+    
+    const text = getComposedText();
+    if (!text) {
+        toastr.warning('The composition is empty.');
+        return;
+    }
+    
+    // The message may have moved while the composer was open
+    const currentMessageId = getChatArray().indexOf(message);
+    if (currentMessageId === -1 || !unlockedMessages.has(currentMessageId)) {
+        toastr.warning('The message is no longer unlocked.');
+        return;
+    }
+    
+    const swipeId = appendSwipeToMessage(message, text, {
+        swipe_unlock_composed: {
+            sources: composition.map(({ swipeId, paragraph, text, original }) => ({ swipeId, paragraph, edited: text !== original })),
+        },
+    });
+    
+    const select = container.find('.swipe-unlock-composer-select').prop('checked');
+    goToUnlockedSwipe(currentMessageId, swipeId);
+    if (select) {
+        await commitUnlockedSwipe(currentMessageId, { confirm: false });
+    } else {
+        await saveChatConditional();
+    }
+    
+    toastr.success(`Composed swipe ${swipeId + 1} added to message #${currentMessageId}.`);
+}
+
+/**
+ * Parse texts to import: a JSON array (strings or objects with "text"/"mes"), or plain text
+ * split at lines consisting only of the delimiter
+ */
+function parseImportedSwipes(content, { format = 'auto', delimiter = '---' } = {}) {
+    const text = String(content ?? '').replace(/\r\n?/g, '\n');
+    
+    if (format === 'json' || (format === 'auto' && text.trim().startsWith('['))) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            if (format === 'json') throw new Error('The text is not valid JSON.');
+        }
+        
+        if (parsed !== undefined) {
+            if (!Array.isArray(parsed)) throw new Error('Expected a JSON array.');
+            
+            return parsed
+                .map(entry => typeof entry === 'string' ? entry : entry?.text ?? entry?.mes ?? '')
+                .map(entry => String(entry).trim())
+                .filter(Boolean);
+        }
+    }
+    
+    const separator = delimiter.trim();
+    const entries = [];
+    let current = [];
+    for (const line of text.split('\n')) {
+        if (separator && line.trim() === separator) {
+            entries.push(current.join('\n'));
+            current = [];
+        } else {
+            current.push(line);
+        }
+    }
+    entries.push(current.join('\n'));
+    
+    return entries.map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Import pasted text, a .txt/.md file or a JSON array as new swipes of an unlocked message
+ */
+async function openSwipeImportDialog(messageId) {
+    const message = getChatArray()[messageId];
+    if (!message || !unlockedMessages.has(messageId)) return;
+    
+    const container = $(`
+        <div class="swipe-unlock-import-dialog">
+            <h3>Import swipes into message #${messageId}</h3>
+            <label>File (.txt, .md, .json)
+                <input type="file" class="text_pole swipe-unlock-import-file" accept=".txt,.md,.markdown,.json,text/plain,text/markdown,application/json">
+            </label>
+            <label>Or paste text
+                <textarea class="text_pole swipe-unlock-import-text" rows="8"></textarea>
+            </label>
+            <div class="swipe-unlock-search-controls">
+                <label>Format
+                    <select class="text_pole swipe-unlock-import-format">
+                        <option value="auto">Auto-detect</option>
+                        <option value="text">Text split by delimiter</option>
+                        <option value="json">JSON array</option>
+                    </select>
+                </label>
+                <label>Delimiter line
+                    <input type="text" class="text_pole swipe-unlock-import-delimiter" value="---">
+                </label>
+            </div>
+            <div class="swipe-unlock-search-status"></div>
+        </div>
+    `);
+    
+    let source = 'paste';
+    
+    const getEntries = () => parseImportedSwipes(container.find('.swipe-unlock-import-text').val(), {
+        format: container.find('.swipe-unlock-import-format').val(),
+        delimiter: String(container.find('.swipe-unlock-import-delimiter').val()),
+    });
+    
+    const updateStatus = () => {
+        const status = container.find('.swipe-unlock-search-status');
+        try {
+            status.text(`${getEntries().length} swipe(s) to import`);
+        } catch (error) {
+            status.text(error.message);
+        }
+    };
+    
+    container.find('.swipe-unlock-import-file').on('change', async function() {
+        const file = this.files?.[0];
+        if (!file) return;
+        
+        container.find('.swipe-unlock-import-text').val(await file.text());
+        if (/\.json$/i.test(file.name)) {
+            container.find('.swipe-unlock-import-format').val('json');
+        }
+        source = file.name;
+        updateStatus();
+    });
+    container.find('.swipe-unlock-import-text').on('input', function() {
+        source = 'paste';
+        updateStatus();
+    });
+    container.find('select, .swipe-unlock-import-delimiter').on('input change', updateStatus);
+    updateStatus();
+    
+    const result = await callGenericPopup(container, POPUP_TYPE.CONFIRM, '', { okButton: 'Import', cancelButton: 'Cancel', wide: true });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+    
+    let entries;
+    try {
+        entries = getEntries();
+    } catch (error) {
+        toastr.error(error.message);
+        return;
+    }
+    
+    if (!entries.length) {
+        toastr.info('Nothing to import.');
+        return;
+    }
+    
+    // The message may have moved while the dialog was open
+    const currentMessageId = getChatArray().indexOf(message);
+    if (currentMessageId === -1 || !unlockedMessages.has(currentMessageId)) {
+        toastr.warning('The message is no longer unlocked.');
+        return;
+    }
+    
+    const firstSwipeId = message.swipes.length;
+    for (const entry of entries) {
+        appendSwipeToMessage(message, entry, { swipe_unlock_imported: { source } });
+    }
+    
+    updateSwipeButtonStates($(`#chat .mes[mesid="${currentMessageId}"]`), currentMessageId);
+    emitSwipeUnlockEvent(SWIPE_UNLOCK_EVENTS.SWIPE_CHANGED, currentMessageId, { previousSwipeId: message.swipe_id || 0, change: 'import' });
+    await saveChatConditional();
+    
+    toastr.success(`Imported ${entries.length} swipe(s) into message #${currentMessageId}. Click to show the first one.`, '', {
+        onclick: () => {
+            const id = getChatArray().indexOf(message);
+            if (id !== -1) goToUnlockedSwipe(id, firstSwipeId);
+        },
+    });
+}
+
+/**
+ * Read the marks of a message from message.extra, or from a swipe_info copy if SillyTavern replaced it
+ */
+function readSwipeMarks(message) {
+    const marks = message?.extra?.[SWIPE_MARKS_KEY]
+        ?? (Array.isArray(message?.swipe_info) ? message.swipe_info.find(info => info?.extra?.[SWIPE_MARKS_KEY])?.extra[SWIPE_MARKS_KEY] : null);
+    return marks && typeof marks === 'object' ? marks : null;
+}
+
+/**
+ * Write the marks of a message into message.extra and every swipe_info entry (empty marks are removed)
+ */
+function writeSwipeMarks(message, marks) {
+    const hasMarks = !!marks && Object.keys(marks).length > 0;
+    const targets = [message, ...(Array.isArray(message.swipe_info) ? message.swipe_info.filter(Boolean) : [])];
+    
+    for (const target of targets) {
+        if (hasMarks) {
+            if (typeof target.extra !== 'object' || target.extra === null) {
+                target.extra = {};
+            }
+            target.extra[SWIPE_MARKS_KEY] = structuredClone(marks);
+        } else if (target.extra) {
+            delete target.extra[SWIPE_MARKS_KEY];
+        }
+    }
+}
+
+/**
+ * Get favorite/rating/tags of a swipe
+ */
+function getSwipeMark(message, swipeId) {
+    const mark = readSwipeMarks(message)?.[swipeId];
+    return {
+        favorite: !!mark?.favorite,
+        rating: Number(mark?.rating) || 0,
+        tags: Array.isArray(mark?.tags) ? mark.tags : [],
+    };
+}
+
+/**
+ * Update favorite/rating/tags of a swipe (empty marks are removed)
+ */
+function setSwipeMark(message, swipeId, changes) {
+    const marks = structuredClone(readSwipeMarks(message) || {});
+    const mark = { ...getSwipeMark(message, swipeId), ...changes };
+    
+    if (mark.favorite || mark.rating || mark.tags.length) {
+        marks[swipeId] = mark;
+    } else {
+        delete marks[swipeId];
+    }
+    
+    writeSwipeMarks(message, marks);
+}
+
+/**
+ * Shift marks of swipes at or after fromSwipeId by delta (delta -1 drops the mark at fromSwipeId)
+ */
+function shiftSwipeMarks(message, fromSwipeId, delta) {
+    const marks = readSwipeMarks(message);
+    if (!marks) return;
+    
+    const shifted = {};
+    for (const [key, mark] of Object.entries(marks)) {
+        const swipeId = Number(key);
+        if (swipeId < fromSwipeId) {
+            shifted[swipeId] = mark;
+        } else if (delta > 0 || swipeId > fromSwipeId) {
+            shifted[swipeId + delta] = mark;
+        }
+    }
+    
+    writeSwipeMarks(message, shifted);
+}
+
+/**
+ * Put marks back into message.extra (and new swipe_info entries) after SillyTavern replaced it
+ */
+function restoreSwipeMarks(message) {
+    const marks = readSwipeMarks(message);
+    if (marks) {
+        writeSwipeMarks(message, marks);
+    }
+}
+
+/**
+ * Render star/rating badges for a swipe mark
+ */
+function renderSwipeMarkBadges(mark) {
+    let html = '';
+    if (mark.favorite) {
+        html += '<span class="swipe-unlock-mark-badge" title="Favorite">★</span>';
+    }
+    if (mark.rating) {
+        html += `<span class="swipe-unlock-mark-badge" title="Rating">${mark.rating}/5</span>`;
+    }
+    return html;
+}
+
+/**
+ * Refresh UI showing marks of a message after they changed
+ */
+function refreshSwipeMarks(messageId) {
+    const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+    if (unlockedMessages.has(messageId)) {
+        updateSwipeButtonStates(messageElement, messageId);
+    }
+}
+
+/**
+ * Toggle favorite of the shown swipe of an unlocked message
+ */
+function toggleSwipeFavorite(messageId) {
+    const message = getChatArray()[messageId];
+    if (!message || !unlockedMessages.has(messageId)) return;
+    
+    const swipeId = message.swipe_id || 0;
+    setSwipeMark(message, swipeId, { favorite: !getSwipeMark(message, swipeId).favorite });
+    refreshSwipeMarks(messageId);
+    saveChatDebounced();
+}
+
+/**
+ * Edit rating and tags of the shown swipe of an unlocked message
+ */
+async function openSwipeMarkDialog(messageId) {
+    const message = getChatArray()[messageId];
+    if (!message || !unlockedMessages.has(messageId)) return;
+    
+    const swipeId = message.swipe_id || 0;
+    const mark = getSwipeMark(message, swipeId);
+    const ratingOptions = [0, 1, 2, 3, 4, 5]
+        .map(value => `<option value="${value}">${value ? '★'.repeat(value) : 'Not rated'}</option>`)
+        .join('');
+    
+    const container = $(`
+        <div class="swipe-unlock-mark-dialog">
+            <h3>Swipe ${swipeId + 1} of message #${messageId}</h3>
+            <label class="checkbox_label">
+                <input type="checkbox" class="swipe-unlock-mark-favorite">
+                Favorite
+            </label>
+            <label>Rating
+                <select class="text_pole swipe-unlock-mark-rating">${ratingOptions}</select>
+            </label>
+            <label>Tags (comma-separated)
+                <input type="text" class="text_pole swipe-unlock-mark-tags">
+            </label>
+        </div>
+    `);
+    container.find('.swipe-unlock-mark-favorite').prop('checked', mark.favorite);
+    container.find('.swipe-unlock-mark-rating').val(String(mark.rating));
+    container.find('.swipe-unlock-mark-tags').val(mark.tags.join(', '));
+    
+    const result = await callGenericPopup(container, POPUP_TYPE.CONFIRM, '', { okButton: 'Save', cancelButton: 'Cancel' });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+    
+    const tags = String(container.find('.swipe-unlock-mark-tags').val())
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(Boolean);
+    
+    setSwipeMark(message, swipeId, {
+        favorite: container.find('.swipe-unlock-mark-favorite').prop('checked'),
+        rating: Number(container.find('.swipe-unlock-mark-rating').val()) || 0,
+        tags: [...new Set(tags)],
+    });
+    
+    const currentMessageId = getChatArray().indexOf(message);
+    if (currentMessageId !== -1) {
+        refreshSwipeMarks(currentMessageId);
+    }
+    saveChatDebounced();
+}
+
+/**
+ * Show the next favorite swipe (wrapping around) of an unlocked message
+ */
+function goToNextFavorite(messageId) {
+    const message = getChatArray()[messageId];
+    if (!message || !unlockedMessages.has(messageId)) return;
+    
+    const currentSwipeId = message.swipe_id || 0;
+    const total = message.swipes.length;
+    for (let offset = 1; offset < total; offset++) {
+        const swipeId = (currentSwipeId + offset) % total;
+        if (getSwipeMark(message, swipeId).favorite) {
+            goToUnlockedSwipe(messageId, swipeId);
+            return;
+        }
+    }
+    
+    toastr.info('No other favorite swipes on this message.');
+}
+
+/**
+ * List favorited (or rated/tagged) swipes across the chat
+ */
+async function openFavoritesList() {
+    const container = $(`
+        <div class="swipe-unlock-favorites">
+            <h3>Favorite swipes</h3>
+            <div class="swipe-unlock-search-controls">
+                <select class="text_pole swipe-unlock-favorites-filter">
+                    <option value="favorite">Favorites</option>
+                    <option value="rated">Rated</option>
+                    <option value="any">Favorite, rated or tagged</option>
+                </select>
+                <select class="text_pole swipe-unlock-favorites-rating">
+                    <option value="0">Any rating</option>
+                    <option value="3">★★★ and up</option>
+                    <option value="4">★★★★ and up</option>
+                    <option value="5">★★★★★</option>
+                </select>
+                <input type="search" class="text_pole swipe-unlock-favorites-tag" placeholder="Tag...">
+            </div>
+            <div class="swipe-unlock-search-status"></div>
+            <div class="swipe-unlock-search-results"></div>
+        </div>
+    `);
+    
+    const popup = new Popup(container, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
+    let entries = [];
+    
+    const render = () => {
+        const filter = container.find('.swipe-unlock-favorites-filter').val();
+        const minRating = Number(container.find('.swipe-unlock-favorites-rating').val());
+        const tag = String(container.find('.swipe-unlock-favorites-tag').val()).trim().toLowerCase();
+        
+        entries = [];
+        getChatArray().forEach((message, messageId) => {
+            if (!readSwipeMarks(message) || !Array.isArray(message.swipes)) return;
+            
+            message.swipes.forEach((swipeText, swipeId) => {
+                const mark = getSwipeMark(message, swipeId);
+                const matchesFilter = filter === 'favorite' ? mark.favorite
+                    : filter === 'rated' ? mark.rating > 0
+                        : mark.favorite || mark.rating > 0 || mark.tags.length > 0;
+                
+                if (!matchesFilter || mark.rating < minRating) return;
+                if (tag && !mark.tags.some(value => value.toLowerCase().includes(tag))) return;
+                
+                entries.push({ messageId, swipeId, mark, text: $('<div>').html(swipeText || '').text() });
+            });
+        });
+        
+        container.find('.swipe-unlock-search-status').text(`${entries.length} swipe(s)`);
+        container.find('.swipe-unlock-search-results').html(entries.map((entry, index) => `
+            <div class="swipe-unlock-search-hit" data-hit="${index}" title="Show this swipe">
+                <div class="swipe-unlock-search-hit-header">
+                    Message #${entry.messageId} · Swipe ${entry.swipeId + 1} ${renderSwipeMarkBadges(entry.mark)}
+                    ${entry.mark.tags.map(value => `<span class="swipe-unlock-tag">${escapeHtml(value)}</span>`).join('')}
+                </div>
+                <div class="swipe-unlock-search-snippet">${escapeHtml(entry.text.slice(0, 200))}${entry.text.length > 200 ? '…' : ''}</div>
+            </div>
+        `).join(''));
+    };
+    
+    container.find('select').on('change', render);
+    container.find('input').on('input', render);
+    container.on('click', '.swipe-unlock-search-hit', async function() {
+        const entry = entries[parseInt($(this).attr('data-hit'))];
+        if (!entry) return;
+        
+        await popup.complete(POPUP_RESULT.AFFIRMATIVE);
+        revealSwipe(entry.messageId, entry.swipeId);
+    });
+    
+    render();
+    await popup.show();
+}
+
+/**
+ * Toggle whether the shown swipe of an unlocked message replaces its text in the next prompt
+ */
+function toggleUseInPrompt(messageId) {
+    const messageState = unlockedMessages.get(messageId);
+    if (!messageState) return;
+    
+    messageState.useInPrompt = !messageState.useInPrompt;
+    messageState.promptApplied = false;
+    updatePromptIndicator($(`#chat .mes[mesid="${messageId}"]`), messageId);
+    
+    if (messageState.useInPrompt) {
+        toastr.info(`The shown swipe of message #${messageId} will be used in the next prompt. The chat is not changed.`);
+    }
+}
+
+/**
+ * Show whether an unlocked message is used in the next prompt
+ */
+function updatePromptIndicator(messageElement, messageId) {
+    const useInPrompt = !!unlockedMessages.get(messageId)?.useInPrompt;
+    messageElement.toggleClass('swipe-unlock-in-prompt', useInPrompt);
+    messageElement.find('.swipe-unlock-use-in-prompt')
+        .toggleClass('active', useInPrompt)
+        .attr('aria-pressed', String(useInPrompt));
+}
+
+/**
+ * Generate interceptor (see manifest.json): put the viewed swipe (or its translation) of
+ * messages in "use in next prompt" mode into the prompt chat. Entries are replaced by copies, so the
+ * real chat keeps its selected swipes.
+ */
+async function swipeUnlockGenerateInterceptor(chat) {
+    for (const messageState of unlockedMessages.values()) {
+        if (!messageState.useInPrompt) continue;
+        
+        // The prompt chat holds shallow copies of the messages, which still share the swipes array
+        const message = messageState.messageRef;
+        const index = chat.findIndex(item => item?.swipes === message.swipes);
+        const messageId = getChatArray().indexOf(message);
+        if (index === -1 || messageId === -1) continue;
+        
+        const swipeId = message.swipe_id || 0;
+        let text = message.swipes[swipeId];
+        if (messageState.showTranslation) {
+            text = await getSwipeTranslation(messageId, swipeId) || text;
+        }
+        
+        chat[index] = { ...chat[index], mes: text };
+        messageState.promptApplied = true;
+        debugLog(`Message #${messageId} sent with swipe ${swipeId + 1}${messageState.showTranslation ? ' (translation)' : ''}`);
+    }
+}
+
+globalThis.swipeUnlockGenerateInterceptor = swipeUnlockGenerateInterceptor;
+
+/**
+ * Turn off "use in next prompt" for messages that went into a finished generation
+ */
+function resetPromptOverrides() {
+    const lockOnNewMessage = getSettings().lockOnNewMessage;
+    
+    for (const [messageId, messageState] of Array.from(unlockedMessages.entries())) {
+        if (!messageState.useInPrompt || !messageState.promptApplied) continue;
+        
+        messageState.useInPrompt = false;
+        messageState.promptApplied = false;
+        
+        const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+        if (lockOnNewMessage) {
+            lockMessage(messageId, messageElement);
+        } else {
+            updatePromptIndicator(messageElement, messageId);
+        }
+    }
+}
+
+/**
+ * Get the undo/redo stacks of the current chat
+ */
+function getSwipeHistory() {
+    const chatId = getContext().getCurrentChatId?.() || '';
+    if (!swipeHistories.has(chatId)) {
+        swipeHistories.set(chatId, { undo: [], redo: [] });
+    }
+    return swipeHistories.get(chatId);
+}
+
+/**
+ * Record a swipe change, translation toggle, commit or lock (clears the redo stack)
+ */
+function recordSwipeHistory(entry) {
+    if (isReplayingHistory) return;
+    
+    const history = getSwipeHistory();
+    history.undo.push({
+        ...entry,
+        messageId: getChatArray().indexOf(entry.message),
+        time: Date.now(),
+    });
+    if (history.undo.length > MAX_HISTORY_ENTRIES) {
+        history.undo.shift();
+    }
+    history.redo = [];
+    
+    updateHistoryButtons();
+}
+
+/**
+ * Drop history entries of a message (e.g. after its swipes were renumbered)
+ */
+function forgetSwipeHistory(message) {
+    const history = getSwipeHistory();
+    history.undo = history.undo.filter(entry => entry.message !== message);
+    history.redo = history.redo.filter(entry => entry.message !== message);
+    updateHistoryButtons();
+}
+
+/**
+ * Find the current index of a history entry's message. A reloaded chat has new message
+ * objects, then the recorded index is used if that message still has the recorded swipes.
+ */
+function resolveHistoryMessageId(entry) {
+    const chatArray = getChatArray();
+    const messageId = chatArray.indexOf(entry.message);
+    if (messageId !== -1) return messageId;
+    
+    const message = chatArray[entry.messageId];
+    const swipeIds = [entry.from, entry.to, entry.swipeId].filter(Number.isInteger);
+    if (message?.swipes && swipeIds.every(swipeId => swipeId < message.swipes.length)) {
+        entry.message = message;
+        return entry.messageId;
+    }
+    
+    return -1;
+}
+
+/**
+ * Describe a history entry for tooltips and the history list
+ */
+function describeHistoryEntry(entry) {
+    const messageId = getChatArray().indexOf(entry.message);
+    const label = `Message #${messageId !== -1 ? messageId : entry.messageId}`;
+    
+    switch (entry.type) {
+        case 'swipe':
+            return `${label}: swipe ${entry.from + 1} → ${entry.to + 1}`;
+        case 'translation':
+            return `${label}: show ${entry.to ? 'translation' : 'original'}`;
+        case 'commit':
+            return `${label}: used swipe ${entry.to + 1} (was ${entry.from + 1})`;
+        case 'lock':
+            return `${label}: locked on swipe ${entry.swipeId + 1}`;
+        default:
+            return label;
+    }
+}
+
+/**
+ * Make sure a message is unlocked so a history entry can be applied to it
+ */
+function ensureUnlockedForHistory(messageId) {
+    if (!unlockedMessages.has(messageId)) {
+        unlockMessage(messageId, $(`#chat .mes[mesid="${messageId}"]`), { scroll: false, keepOthers: true });
+    }
+    return unlockedMessages.has(messageId);
+}
+
+/**
+ * Apply a history entry backwards (undo) or forwards (redo). Returns the message ID or -1.
+ */
+async function applySwipeHistoryEntry(entry, direction) {
+    const messageId = resolveHistoryMessageId(entry);
+    if (messageId === -1) return -1;
+    
+    const undo = direction < 0;
+    const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+    
+    switch (entry.type) {
+        case 'swipe':
+            if (!ensureUnlockedForHistory(messageId)) return -1;
+            goToUnlockedSwipe(messageId, undo ? entry.from : entry.to, { scroll: false });
+            break;
+        case 'translation': {
+            if (!ensureUnlockedForHistory(messageId)) return -1;
+            const showTranslation = undo ? !entry.to : entry.to;
+            if (unlockedMessages.get(messageId).showTranslation !== showTranslation) {
+                toggleTranslation(messageId, { scroll: false });
+            }
+            break;
+        }
+        case 'commit':
+            if (undo) {
+                await undoSwipeCommit(entry.message, entry.snapshot, entry.previousParts);
+            } else {
+                if (!ensureUnlockedForHistory(messageId)) return -1;
+                goToUnlockedSwipe(messageId, entry.to, { scroll: false });
+                await commitUnlockedSwipe(messageId, { confirm: false });
+            }
+            break;
+        case 'lock':
+            if (undo) {
+                if (!ensureUnlockedForHistory(messageId)) return -1;
+                goToUnlockedSwipe(messageId, entry.swipeId, { scroll: false });
+                if (unlockedMessages.get(messageId).showTranslation !== entry.showTranslation) {
+                    toggleTranslation(messageId, { scroll: false });
+                }
+            } else {
+                lockMessage(messageId, messageElement, { record: true });
+            }
+            break;
+    }
+    
+    return messageId;
+}
+
+/**
+ * Move history entries from one stack to the other, applying them
+ */
+async function stepSwipeHistory(direction, steps = 1) {
+    const history = getSwipeHistory();
+    const source = direction < 0 ? history.undo : history.redo;
+    const target = direction < 0 ? history.redo : history.undo;
+    let lastMessageId = -1;
+    
+    isReplayingHistory = true;
+    try {
+        for (let step = 0; step < steps && source.length; step++) {
+            const entry = source.pop();
+            const messageId = await applySwipeHistoryEntry(entry, direction);
+            if (messageId === -1) {
+                toastr.warning(`Skipped "${describeHistoryEntry(entry)}": the message is no longer available.`);
+                continue;
+            }
+            
+            target.push(entry);
+            lastMessageId = messageId;
+        }
+    } finally {
+        isReplayingHistory = false;
+    }
+    
+    if (lastMessageId !== -1) {
+        scrollToMessage($(`#chat .mes[mesid="${lastMessageId}"]`));
+    }
+    updateHistoryButtons();
+}
+
+/**
+ * Undo the last swipe change, translation toggle, commit or lock
+ */
+function undoSwipeHistory() {
+    if (!getSwipeHistory().undo.length) {
+        toastr.info('Nothing to undo.');
+        return;
+    }
+    return stepSwipeHistory(-1);
+}
+
+/**
+ * Redo the last undone history entry
+ */
+function redoSwipeHistory() {
+    if (!getSwipeHistory().redo.length) {
+        toastr.info('Nothing to redo.');
+        return;
+    }
+    return stepSwipeHistory(1);
+}
+
+/**
+ * Reflect undo/redo availability on every navigation bar
+ */
+function updateHistoryButtons() {
+    const history = getSwipeHistory();
+    const nextUndo = history.undo.at(-1);
+    const nextRedo = history.redo.at(-1);
+    
+    $('.swipe-unlock-undo')
+        .toggleClass('disabled', !nextUndo)
+        .attr('aria-disabled', String(!nextUndo))
+        .attr('title', nextUndo ? `Undo: ${describeHistoryEntry(nextUndo)}` : 'Undo');
+    $('.swipe-unlock-redo')
+        .toggleClass('disabled', !nextRedo)
+        .attr('aria-disabled', String(!nextRedo))
+        .attr('title', nextRedo ? `Redo: ${describeHistoryEntry(nextRedo)}` : 'Redo');
+}
+
+/**
+ * List the history of the current chat; clicking an entry returns to the state right after it
+ */
+async function openSwipeHistoryList() {
+    const container = $(`
+        <div class="swipe-unlock-history-list">
+            <h3>Swipe history</h3>
+            <div class="swipe-unlock-search-status"></div>
+            <div class="swipe-unlock-search-results"></div>
+        </div>
+    `);
+    
+    const render = () => {
+        const history = getSwipeHistory();
+        const entries = [...history.undo, ...history.redo.slice().reverse()];
+        const position = history.undo.length;
+        
+        container.find('.swipe-unlock-search-status')
+            .text(`${history.undo.length} step(s) to undo, ${history.redo.length} to redo`);
+        
+        const rows = [{ label: 'Start', time: null }, ...entries.map(entry => ({ label: describeHistoryEntry(entry), time: entry.time }))];
+        container.find('.swipe-unlock-search-results').html(rows.map((row, index) => `
+            <div class="swipe-unlock-search-hit swipe-unlock-history-entry${index === position ? ' current' : ''}${index > position ? ' undone' : ''}" data-position="${index}" title="Go back to this state">
+                <div class="swipe-unlock-search-hit-header">
+                    ${escapeHtml(row.label)}
+                    ${row.time ? `<small>${escapeHtml(timestampToMoment(row.time).format('LTS'))}</small>` : ''}
+                </div>
+            </div>
+        `).reverse().join(''));
+    };
+    
+    container.on('click', '.swipe-unlock-history-entry', async function() {
+        const position = parseInt($(this).attr('data-position'));
+        const offset = position - getSwipeHistory().undo.length;
+        if (offset !== 0) {
+            await stepSwipeHistory(Math.sign(offset), Math.abs(offset));
+        }
+        render();
+    });
+    
+    render();
+    await callGenericPopup(container, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
+}
+
+/**
+ * Get the named swipe paths saved for the current chat
+ */
+function getSwipePaths() {
+    const paths = chat_metadata?.[SWIPE_PATHS_KEY];
+    return paths && typeof paths === 'object' ? paths : {};
+}
+
+/**
+ * Move saved path selections along with their messages after messages were deleted or
+ * inserted, dropping selections of messages that are gone. Paths are keyed by message index,
+ * so the message objects seen at the last call tell where each index went.
+ */
+function reconcileSwipePaths() {
+    const chatArray = getChatArray();
+    const previousMessages = swipePathMessages;
+    swipePathMessages = chatArray.slice();
+    if (!previousMessages.length) return;
+    
+    const newMessageIds = new Map(chatArray.map((message, messageId) => [message, messageId]));
+    let changed = false;
+    
+    for (const [name, path] of Object.entries(getSwipePaths())) {
+        if (!path?.selections) continue;
+        
+        const selections = {};
+        for (const [messageId, swipeId] of Object.entries(path.selections)) {
+            // Messages appended since the last call haven't moved
+            const message = previousMessages[messageId] ?? chatArray[messageId];
+            const newMessageId = newMessageIds.get(message);
+            
+            if (newMessageId === undefined || swipeId >= (message.swipes?.length ?? 0)) {
+                debugLog(`Dropped message #${messageId} from swipe path "${name}"`);
+                changed = true;
+                continue;
+            }
+            
+            changed ||= newMessageId !== Number(messageId);
+            selections[newMessageId] = swipeId;
+        }
+        path.selections = selections;
+    }
+    
+    if (changed) {
+        saveMetadataDebounced();
+    }
+}
+
+/**
+ * Get swipe selections of every message with alternatives - {[messageId]: swipeId}
+ * (viewed swipes by default, canonical swipes with original = true)
+ */
+function getSwipeSelections({ original = false } = {}) {
+    const selections = {};
+    getChatArray().forEach((message, messageId) => {
+        if (!Array.isArray(message?.swipes) || message.swipes.length <= 1) return;
+        selections[messageId] = original ? getSelectedSwipeId(messageId) : (message.swipe_id || 0);
+    });
+    return selections;
+}
+
+/**
+ * Save the currently viewed swipes of the whole chat as a named path
+ */
+function saveSwipePath(name) {
+    const pathName = String(name ?? '').trim();
+    if (!pathName) {
+        toastr.warning('Enter a name for the path.');
+        return false;
+    }
+    
+    if (!getContext().getCurrentChatId?.()) {
+        toastr.warning('Open a chat first.');
+        return false;
+    }
+    
+    reconcileSwipePaths();
+    chat_metadata[SWIPE_PATHS_KEY] = {
+        ...getSwipePaths(),
+        [pathName]: {
+            created: Date.now(),
+            selections: getSwipeSelections(),
+        },
+    };
+    saveMetadataDebounced();
+    
+    toastr.success(`Saved swipe path "${pathName}".`);
+    return true;
+}
+
+/**
+ * Delete a named swipe path
+ */
+function deleteSwipePath(name) {
+    const paths = { ...getSwipePaths() };
+    if (!(name in paths)) return;
+    
+    delete paths[name];
+    chat_metadata[SWIPE_PATHS_KEY] = paths;
+    saveMetadataDebounced();
+}
+
+/**
+ * Keep saved paths pointing at the same swipes after a swipe of a message was removed (delta -1)
+ * or re-inserted (delta 1) at swipeId. Paths that selected a removed swipe drop that message
+ * (falling back to the canonical swipe); their names are returned so an undo can restore them.
+ * The paths are saved with the chat.
+ */
+function shiftSwipePathSelections(messageId, swipeId, delta) {
+    const affected = [];
+    
+    for (const [name, path] of Object.entries(getSwipePaths())) {
+        const selections = path?.selections;
+        const selected = selections?.[messageId];
+        if (!Number.isInteger(selected)) continue;
+        
+        if (delta < 0 && selected === swipeId) {
+            delete selections[messageId];
+            affected.push(name);
+        } else if (selected >= swipeId + (delta < 0 ? 1 : 0)) {
+            selections[messageId] = selected + delta;
+        }
+    }
+    
+    return affected;
+}
+
+/**
+ * List messages whose swipe differs between two selections (missing entries count as the canonical swipe)
+ */
+function diffSwipeSelections(from, to) {
+    const chatArray = getChatArray();
+    const messageIds = new Set([...Object.keys(from), ...Object.keys(to)].map(Number));
+    const differences = [];
+    
+    for (const messageId of [...messageIds].sort((a, b) => a - b)) {
+        const message = chatArray[messageId];
+        if (!message?.swipes) continue;
+        
+        const fromSwipeId = from[messageId] ?? getSelectedSwipeId(messageId);
+        const toSwipeId = to[messageId] ?? getSelectedSwipeId(messageId);
+        if (fromSwipeId !== toSwipeId) {
+            differences.push({ messageId, fromSwipeId, toSwipeId });
+        }
+    }
+    
+    return differences;
+}
+
+/**
+ * Show a saved path: messages on another swipe than the canonical one are unlocked on
+ * the path's swipe, all other messages are locked
+ */
+function switchToSwipePath(name) {
+    reconcileSwipePaths();
+    const path = getSwipePaths()[name];
+    if (!path) {
+        toastr.warning(`Swipe path "${name}" not found.`);
+        return;
+    }
+    
+    const chatArray = getChatArray();
+    const differences = diffSwipeSelections(getSwipeSelections({ original: true }), path.selections || {})
+        .filter(({ messageId, toSwipeId }) => Number.isInteger(toSwipeId) && toSwipeId < chatArray[messageId].swipes.length);
+    const targets = new Map(differences.map(({ messageId, toSwipeId }) => [messageId, toSwipeId]));
+    
+    for (const messageId of Array.from(unlockedMessages.keys())) {
+        if (!targets.has(messageId)) {
+            lockMessage(messageId, $(`#chat .mes[mesid="${messageId}"]`));
+        }
+    }
+    
+    for (const [messageId, swipeId] of targets) {
+        if (!unlockedMessages.has(messageId)) {
+            unlockMessage(messageId, $(`#chat .mes[mesid="${messageId}"]`), { scroll: false, keepOthers: true });
+        }
+        goToUnlockedSwipe(messageId, swipeId, { scroll: false });
+    }
+    
+    toastr.info(targets.size
+        ? `Switched to "${name}" (${targets.size} message(s) differ from the original).`
+        : `"${name}" matches the original selection.`);
+}
+
+/**
+ * Go back to the canonical swipes of every message
+ */
+function switchToOriginalSelection() {
+    lockAllMessages();
+    toastr.info('Showing the original swipes.');
+}
+
+/**
+ * Manage named swipe paths of the current chat
+ */
+async function openSwipePathsDialog() {
+    const container = $(`
+        <div class="swipe-unlock-paths">
+            <h3>Swipe paths</h3>
+            <div class="swipe-unlock-search-controls">
+                <input type="text" class="text_pole swipe-unlock-paths-name" placeholder="Path name...">
+                <div class="menu_button swipe-unlock-paths-save">Save current swipes</div>
+                <div class="menu_button swipe-unlock-paths-original">Back to original</div>
+            </div>
+            <div class="swipe-unlock-paths-list"></div>
+            <h4>Compare</h4>
+            <div class="swipe-unlock-search-controls">
+                <select class="text_pole swipe-unlock-paths-from"></select>
+                <span>→</span>
+                <select class="text_pole swipe-unlock-paths-to"></select>
+            </div>
+            <div class="swipe-unlock-paths-diff"></div>
+        </div>
+    `);
+    
+    const getSelectionsFor = (value) => {
+        if (value === 'original') return getSwipeSelections({ original: true });
+        if (value === 'current') return getSwipeSelections();
+        return getSwipePaths()[String(value).replace(/^path:/, '')]?.selections || {};
+    };
+    
+    const renderDiff = () => {
+        const differences = diffSwipeSelections(
+            getSelectionsFor(container.find('.swipe-unlock-paths-from').val()),
+            getSelectionsFor(container.find('.swipe-unlock-paths-to').val()),
+        );
+        
+        container.find('.swipe-unlock-paths-diff').html(differences.length
+            ? `<ul>${differences.map(({ messageId, fromSwipeId, toSwipeId }) => `
+                <li>Message #${messageId}: swipe ${fromSwipeId + 1} → swipe ${toSwipeId + 1}</li>
+            `).join('')}</ul>`
+            : '<div class="swipe-unlock-search-status">No differences.</div>');
+    };
+    
+    const render = () => {
+        const paths = getSwipePaths();
+        const names = Object.keys(paths);
+        const original = getSwipeSelections({ original: true });
+        
+        container.find('.swipe-unlock-paths-list').html(names.length
+            ? names.map(name => {
+                const path = paths[name];
+                const differing = diffSwipeSelections(original, path.selections || {}).length;
+                const created = path.created ? timestampToMoment(path.created).format('LL LT') : '';
+                return `
+                    <div class="swipe-unlock-paths-item" data-path="${escapeHtml(name)}">
+                        <div class="swipe-unlock-paths-item-name">
+                            <strong>${escapeHtml(name)}</strong>
+                            <small>${differing} message(s) differ from original${created ? ` · ${escapeHtml(created)}` : ''}</small>
+                        </div>
+                        <div class="menu_button swipe-unlock-paths-switch" title="Show this path">Switch</div>
+                        <div class="menu_button swipe-unlock-paths-delete" title="Delete this path"><i class="fa-solid fa-trash-can"></i></div>
+                    </div>
+                `;
+            }).join('')
+            : '<div class="swipe-unlock-search-status">No saved paths in this chat.</div>');
+        
+        const options = [
+            '<option value="original">Original</option>',
+            '<option value="current">Current</option>',
+            ...names.map(name => `<option value="path:${escapeHtml(name)}">${escapeHtml(name)}</option>`),
+        ].join('');
+        const from = container.find('.swipe-unlock-paths-from');
+        const to = container.find('.swipe-unlock-paths-to');
+        const previousFrom = from.val() || 'original';
+        const previousTo = to.val() || 'current';
+        from.html(options).val(previousFrom);
+        to.html(options).val(previousTo);
+        if (from.val() === null) from.val('original');
+        if (to.val() === null) to.val('current');
+        
+        renderDiff();
+    };
+    
+    container.on('click', '.swipe-unlock-paths-save', async function() {
+        const input = container.find('.swipe-unlock-paths-name');
+        const name = String(input.val()).trim();
+        if (name in getSwipePaths()) {
+            const result = await callGenericPopup(`Overwrite path "${escapeHtml(name)}"?`, POPUP_TYPE.CONFIRM);
+            if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+        }
+        
+        if (saveSwipePath(name)) {
+            input.val('');
+            render();
+        }
+    });
+    container.on('click', '.swipe-unlock-paths-original', function() {
+        switchToOriginalSelection();
+        render();
+    });
+    container.on('click', '.swipe-unlock-paths-switch', function() {
+        switchToSwipePath($(this).closest('.swipe-unlock-paths-item').attr('data-path'));
+        render();
+    });
+    container.on('click', '.swipe-unlock-paths-delete', async function() {
+        const name = $(this).closest('.swipe-unlock-paths-item').attr('data-path');
+        const result = await callGenericPopup(`Delete path "${escapeHtml(name)}"?`, POPUP_TYPE.CONFIRM);
+        if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+        
+        deleteSwipePath(name);
+        render();
+    });
+    container.find('select').on('change', renderDiff);
+    
+    render();
+    await callGenericPopup(container, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
+}
+
+/**
+ * Create a new chat branch ending at an unlocked message, with the viewed swipe selected, and open it
+ */
+async function branchFromUnlockedSwipe(messageId) {
+    const messageState = unlockedMessages.get(messageId);
+    if (!messageState) return null;
+    
+    if (this_chid === undefined && !selected_group) {
+        toastr.info('No character selected.', 'Branch creation aborted');
+        return null;
+    }
+    
+    const chatArray = getChatArray();
+    const message = chatArray[messageId];
+    if (!message) return null;
+    
+    const swipeId = message.swipe_id || 0;
+    const snapshot = getMessageSelectionSnapshot(message, messageState.originalSwipeId);
+    
+    // createBranch saves chat[0..messageId] straight from memory, so the viewed swipe
+    // has to be the active one while it runs. The source message is restored afterwards,
+    // which also drops the branch link createBranch adds to it - the source stays untouched.
+    let branchName;
+    try {
+        applySwipeToMessage(message, swipeId);
+        branchName = await createBranch(messageId);
+    } catch (error) {
+        console.error('Failed to create branch:', error);
+        toastr.error('Failed to create branch.');
+    } finally {
+        Object.assign(message, structuredClone(snapshot));
+        message.swipe_id = swipeId;
+    }
+    
+    if (!branchName) return null;
+    
+    // Leave the source chat in its original state before switching away from it
+    const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+    lockMessage(messageId, messageElement);
+    
+    if (selected_group) {
+        await openGroupChat(selected_group, branchName);
+    } else {
+        await openCharacterChat(branchName);
+    }
+    
+    toastr.success(`Opened branch "${branchName}" with swipe ${swipeId + 1} selected.`);
+    return branchName;
+}
+
+/**
+ * Toggle translation display for a specific message
+ */
+function toggleTranslation(messageId, { scroll = true, record = true } = {}) {
+    const messageState = unlockedMessages.get(messageId);
+    if (!messageState) return;
+    
+    messageState.showTranslation = !messageState.showTranslation;
+    if (record) {
+        recordSwipeHistory({ type: 'translation', message: messageState.messageRef, to: messageState.showTranslation });
+    }
+    
+    // Update toggle button appearance for this specific message
+    const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+    updateTranslationToggleButton(messageElement, messageState.showTranslation);
+    
+    // Translation only replaces the bilingual view
+    if (messageState.showTranslation && messageState.bilingual) {
+        messageState.bilingual = false;
+        updateBilingualToggleButton(messageElement, false);
+    }
+    
+    // Update message display
+    const chatArray = getChatArray();
+    const message = chatArray[messageId];
+    if (message) {
+        updateMessageDisplay(messageElement, messageId, message.swipe_id || 0, messageState.showTranslation, scroll);
+    }
+    
+    // Offer to translate instead of silently showing the original
+    if (messageState.showTranslation && message) {
+        const swipeId = message.swipe_id || 0;
+        getSwipeTranslationStatus(messageId, swipeId).then(status => {
+            if (status !== 'missing' || !getActiveTranslationProvider()) return;
+            toastr.info(`Swipe ${swipeId + 1} has no translation yet. Click to translate it.`, '', {
+                onclick: () => {
+                    const currentMessageId = getChatArray().indexOf(message);
+                    if (currentMessageId !== -1) translateSwipe(currentMessageId, swipeId);
+                },
+            });
+        });
+    }
+    
+    persistUnlockState();
+    emitSwipeUnlockEvent(SWIPE_UNLOCK_EVENTS.TRANSLATION_TOGGLED, messageId);
+}
+
+/**
+ * Show the translation toggle state on its button
+ */
+function updateTranslationToggleButton(messageElement, showTranslation) {
+    const toggleButton = messageElement.find('.swipe-unlock-translation-toggle');
+    const label = showTranslation ? 'Show original' : 'Show translation';
+    toggleButton
+        .toggleClass('active', showTranslation)
+        .attr({ 'title': label, 'aria-label': label, 'aria-pressed': String(showTranslation) });
+}
+
+/**
+ * Show the bilingual toggle state on its button
+ */
+function updateBilingualToggleButton(messageElement, bilingual) {
+    messageElement.find('.swipe-unlock-bilingual-toggle')
+        .toggleClass('active', bilingual)
+        .attr('aria-pressed', String(bilingual));
+}
+
+/**
+ * Toggle bilingual display (original and translation aligned by paragraph) of an unlocked message
+ */
+function toggleBilingual(messageId, { scroll = false } = {}) {
+    const messageState = unlockedMessages.get(messageId);
+    if (!messageState) return;
+    
+    const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+    messageState.bilingual = !messageState.bilingual;
+    updateBilingualToggleButton(messageElement, messageState.bilingual);
+    
+    // The bilingual view already contains the translation
+    if (messageState.bilingual && messageState.showTranslation) {
+        messageState.showTranslation = false;
+        updateTranslationToggleButton(messageElement, false);
+    }
+    
+    const message = getChatArray()[messageId];
+    if (message) {
+        updateMessageDisplay(messageElement, messageId, message.swipe_id || 0, messageState.showTranslation, scroll);
+        
+        if (messageState.bilingual) {
+            getSwipeTranslationStatus(messageId, message.swipe_id || 0).then(status => {
+                if (status === 'missing') {
+                    toastr.info('This swipe has no translation yet, only the original is shown.');
+                }
+            });
+        }
+    }
+    
+    persistUnlockState();
+    emitSwipeUnlockEvent(SWIPE_UNLOCK_EVENTS.TRANSLATION_TOGGLED, messageId);
+}
+
+/**
+ * Pair paragraphs of the original and the translation by position (extra paragraphs stay unpaired)
+ */
+function alignParagraphs(original, translation) {
+    const originals = splitIntoParagraphs(original);
+    const translations = splitIntoParagraphs(translation);
+    const count = Math.max(originals.length, translations.length);
+    
+    return Array.from({ length: count }, (_, index) => ({
+        original: originals[index] ?? '',
+        translation: translations[index] ?? '',
+    }));
+}
+
+/**
+ * Render original and translation aligned by paragraph
+ */
+function renderBilingualHtml(message, messageId, original, translation) {
+    const format = (text) => {
+        if (!text) return '';
+        try {
+            return messageFormatting(text, message.name, message.is_system || false, message.is_user || false, messageId);
+        } catch (error) {
+            return escapeHtml(text);
+        }
+    };
+    
+    const layout = getSettings().bilingualLayout === 'interleaved' ? 'interleaved' : 'auto';
+    const pairs = alignParagraphs(original, translation).map(pair => `
+        <div class="swipe-unlock-bilingual-pair">
+            <div class="swipe-unlock-bilingual-original">${format(pair.original)}</div>
+            <div class="swipe-unlock-bilingual-translation">${format(pair.translation)}</div>
+        </div>
+    `).join('');
+    
+    return `<div class="swipe-unlock-bilingual swipe-unlock-bilingual-${layout}">${pairs}</div>`;
+}
+
+/**
+ * Copy message text (original or translation based on current state)
+ */
+async function copyMessageText(messageId) {
+    const messageState = unlockedMessages.get(messageId);
+    if (!messageState) return;
+    
+    const chatArray = getChatArray();
+    const message = chatArray[messageId];
+    if (!message) return;
+    
+    const swipeId = message.swipe_id || 0;
+    let textToCopy = message.swipes[swipeId];
+    
+    // If translation is enabled, get translation text
+    if (messageState.showTranslation) {
+        const translation = await getSwipeTranslation(messageId, swipeId);
+        if (translation) {
+            textToCopy = translation;
+        }
+    }
+    
+    // Bilingual view: ask which side to copy
+    if (messageState.bilingual) {
+        const translation = await getSwipeTranslation(messageId, swipeId);
+        if (translation) {
+            const result = await callGenericPopup('Copy which text?', POPUP_TYPE.CONFIRM, '', {
+                okButton: 'Both',
+                cancelButton: 'Cancel',
+                customButtons: [
+                    { text: 'Original', result: BILINGUAL_COPY.ORIGINAL },
+                    { text: 'Translation', result: BILINGUAL_COPY.TRANSLATION },
+                ],
+            });
+            
+            if (result === BILINGUAL_COPY.TRANSLATION) {
+                textToCopy = translation;
+            } else if (result === POPUP_RESULT.AFFIRMATIVE) {
+                textToCopy = alignParagraphs(textToCopy, translation)
+                    .flatMap(pair => [pair.original, pair.translation])
+                    .filter(Boolean)
+                    .join('\n\n');
+            } else if (result !== BILINGUAL_COPY.ORIGINAL) {
+                return;
+            }
+        }
+    }
+    
+    // Remove HTML tags and get plain text
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = textToCopy;
+    const plainText = tempDiv.textContent || tempDiv.innerText || '';
+    
+    // Copy to clipboard
+    try {
+        await navigator.clipboard.writeText(plainText);
+        toastr.success('Text copied to clipboard');
+    } catch (error) {
+        // Fallback for older browsers
+        const textArea = document.createElement('textarea');
+        textArea.value = plainText;
+        textArea.style.position = 'fixed';
+        textArea.style.left = '-999999px';
+        document.body.appendChild(textArea);
+        textArea.select();
+        try {
+            document.execCommand('copy');
+            toastr.success('Text copied to clipboard');
+        } catch (err) {
+            toastr.error('Failed to copy text');
+        }
+        document.body.removeChild(textArea);
+    }
+}
+
+/**
+ * Get the text of a swipe, optionally its translation (falls back to the original)
+ */
+async function getSwipeText(messageId, swipeId, translated = false) {
+    const message = getChatArray()[messageId];
+    const original = message?.swipes?.[swipeId] ?? '';
+    
+    if (translated) {
+        const translation = await getSwipeTranslation(messageId, swipeId);
+        if (translation) {
+            return { text: translation, translated: true };
+        }
+    }
+    
+    return { text: original, translated: false };
+}
+
+/**
+ * Split text into diff tokens: words (with whitespace runs as separate tokens) or sentences
+ */
+function tokenizeForDiff(text, mode) {
+    if (mode === 'sentence') {
+        return text.match(/[^.!?。！？\n]+[.!?。！？]*\s*|[.!?。！？]+\s*|\n+/g) || [];
+    }
+    return text.match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Compute a token-level diff between two texts using a longest common subsequence table
+ * Returns a list of {type: 'equal'|'insert'|'delete', text}
+ */
+function computeDiff(oldText, newText, mode = 'word') {
+    const a = tokenizeForDiff(oldText, mode);
+    const b = tokenizeForDiff(newText, mode);
+    const parts = [];
+    
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            parts.push({ type, text });
+        }
+    };
+    
+    // Common prefix and suffix don't need the table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        push('equal', a[start]);
+        start++;
+    }
+    
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    
+    const n = endA - start;
+    const m = endB - start;
+    
+    if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+        // Too large for a word diff - retry with sentences, otherwise replace the whole middle part
+        if (mode === 'word') {
+            return computeDiff(oldText, newText, 'sentence');
+        }
+        push('delete', a.slice(start, endA).join(''));
+        push('insert', b.slice(start, endB).join(''));
+    } else {
+        const width = m + 1;
+        const table = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i * width + j] = a[start + i] === b[start + j]
+                    ? table[(i + 1) * width + j + 1] + 1
+                    : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+            }
+        }
+        
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (a[start + i] === b[start + j]) {
+                push('equal', a[start + i]);
+                i++;
+                j++;
+            } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+                push('delete', a[start + i]);
+                i++;
+            } else {
+                push('insert', b[start + j]);
+                j++;
+            }
+        }
+        while (i < n) push('delete', a[start + i++]);
+        while (j < m) push('insert', b[start + j++]);
+    }
+    
+    for (let k = endA; k < a.length; k++) {
+        push('equal', a[k]);
+    }
+    
+    return parts;
+}
+
+/**
+ * Render diff parts as HTML with insertions/deletions highlighted
+ */
+function renderDiffHtml(parts) {
+    return parts.map(part => {
+        const text = escapeHtml(part.text);
+        switch (part.type) {
+            case 'insert':
+                return `<ins class="swipe-unlock-diff-ins">${text}</ins>`;
+            case 'delete':
+                return `<del class="swipe-unlock-diff-del">${text}</del>`;
+            default:
+                return text;
+        }
+    }).join('');
+}
+
+/**
+ * Open the compare view showing a diff between two swipes of an unlocked message
+ */
+async function openCompareView(messageId) {
+    const messageState = unlockedMessages.get(messageId);
+    if (!messageState) return;
+    
+    const chatArray = getChatArray();
+    const message = chatArray[messageId];
+    if (!message) return;
+    
+    const currentSwipeId = message.swipe_id || 0;
+    const options = message.swipes.map((_, index) => {
+        const label = index === messageState.originalSwipeId ? ' (original)' : '';
+        return `<option value="${index}">Swipe ${index + 1}${label}</option>`;
+    }).join('');
+    
+    const container = $(`
+        <div class="swipe-unlock-compare-view">
+            <h3>Compare swipes of message #${messageId}</h3>
+            <div class="swipe-unlock-compare-controls">
+                <label>From <select class="text_pole swipe-unlock-compare-a">${options}</select></label>
+                <label>To <select class="text_pole swipe-unlock-compare-b">${options}</select></label>
+                <label>Granularity
+                    <select class="text_pole swipe-unlock-compare-mode">
+                        <option value="word">Words</option>
+                        <option value="sentence">Sentences</option>
+                    </select>
+                </label>
+                <label class="checkbox_label">
+                    <input type="checkbox" class="swipe-unlock-compare-translated">
+                    Compare translations
+                </label>
+            </div>
+            <div class="swipe-unlock-compare-summary"></div>
+            <div class="swipe-unlock-compare-body">
+                <div class="swipe-unlock-compare-diff"></div>
+                <div class="swipe-unlock-compare-rendered mes_text"></div>
+            </div>
+        </div>
+    `);
+    
+    // Default: original swipe against the one being viewed (or the next one)
+    const fromSwipeId = messageState.originalSwipeId;
+    let toSwipeId = currentSwipeId;
+    if (toSwipeId === fromSwipeId) {
+        toSwipeId = (fromSwipeId + 1) % message.swipes.length;
+    }
+    container.find('.swipe-unlock-compare-a').val(String(fromSwipeId));
+    container.find('.swipe-unlock-compare-b').val(String(toSwipeId));
+    
+    let renderToken = 0;
+    const render = async () => {
+        const token = ++renderToken;
+        const swipeA = parseInt(container.find('.swipe-unlock-compare-a').val());
+        const swipeB = parseInt(container.find('.swipe-unlock-compare-b').val());
+        const mode = container.find('.swipe-unlock-compare-mode').val();
+        const translated = container.find('.swipe-unlock-compare-translated').prop('checked');
+        
+        const [sideA, sideB] = await Promise.all([
+            getSwipeText(messageId, swipeA, translated),
+            getSwipeText(messageId, swipeB, translated),
+        ]);
+        
+        // A newer render started while translations were loading
+        if (token !== renderToken) return;
+        
+        const parts = computeDiff(sideA.text, sideB.text, mode);
+        const inserted = parts.filter(part => part.type === 'insert').length;
+        const deleted = parts.filter(part => part.type === 'delete').length;
+        
+        let summary = `${inserted} insertion(s), ${deleted} deletion(s)`;
+        if (translated && (!sideA.translated || !sideB.translated)) {
+            summary += ' - no translation found for one of the swipes, showing the original text';
+        }
+        container.find('.swipe-unlock-compare-summary').text(summary);
+        container.find('.swipe-unlock-compare-diff').html(renderDiffHtml(parts));
+        
+        try {
+            container.find('.swipe-unlock-compare-rendered').html(messageFormatting(
+                sideB.text,
+                message.name,
+                message.is_system || false,
+                message.is_user || false,
+                messageId
+            ));
+        } catch (error) {
+            console.warn('Failed to use messageFormatting, using fallback:', error);
+            container.find('.swipe-unlock-compare-rendered').text(sideB.text);
+        }
+    };
+    
+    container.find('select, input').on('change', render);
+    await render();
+    
+    await callGenericPopup(container, POPUP_TYPE.TEXT, '', { wide: true, large: true, allowVerticalScrolling: true });
+}
+
+/**
+ * Create a matcher returning every {index, length} match of the query in a text
+ * Modes: 'plain' (case-sensitive), 'insensitive' and 'regex' (pattern or /pattern/flags)
+ */
+function createSearchMatcher(query, mode) {
+    let regex;
+    if (mode === 'regex') {
+        const literal = query.match(/^\/(.+)\/([a-z]*)$/s);
+        const flags = literal ? literal[2].replace(/g/g, '') : '';
+        regex = new RegExp(literal ? literal[1] : query, `${flags}g`);
+    } else {
+        const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        regex = new RegExp(escaped, mode === 'insensitive' ? 'gi' : 'g');
+    }
+    
+    return (text) => {
+        const matches = [];
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            matches.push({ index: match.index, length: match[0].length });
+            // Avoid an endless loop on empty matches
+            if (match[0].length === 0) regex.lastIndex++;
+        }
+        return matches;
+    };
+}
+
+/**
+ * Search every swipe of every message in the chat (and optionally their translations)
+ */
+async function searchSwipes(query, { mode = 'plain', includeTranslations = false } = {}) {
+    const matcher = createSearchMatcher(query, mode);
+    const chatArray = getChatArray();
+    const hits = [];
+    
+    const addHit = (messageId, swipeId, text, translated) => {
+        const matches = matcher(text);
+        if (!matches.length) return;
+        
+        const { index, length } = matches[0];
+        const start = Math.max(0, index - 40);
+        const end = Math.min(text.length, index + length + 40);
+        
+        hits.push({
+            messageId,
+            swipeId,
+            translated,
+            count: matches.length,
+            before: (start > 0 ? '…' : '') + text.slice(start, index),
+            match: text.slice(index, index + length),
+            after: text.slice(index + length, end) + (end < text.length ? '…' : ''),
+        });
+    };
+    
+    for (let messageId = 0; messageId < chatArray.length; messageId++) {
+        const message = chatArray[messageId];
+        // Single-swipe messages can't be unlocked, so there is nothing to jump to
+        if (!Array.isArray(message?.swipes) || message.swipes.length <= 1) continue;
+        
+        for (let swipeId = 0; swipeId < message.swipes.length; swipeId++) {
+            const swipeText = message.swipes[swipeId];
+            if (typeof swipeText !== 'string') continue;
+            
+            addHit(messageId, swipeId, swipeText, false);
+            
+            if (includeTranslations) {
+                const translation = await getSwipeTranslation(messageId, swipeId);
+                if (translation) {
+                    addHit(messageId, swipeId, translation, true);
+                }
+            }
+        }
+    }
+    
+    return hits;
+}
+
+/**
+ * Unlock a message if needed, show the given swipe and scroll to it
+ */
+function revealSwipe(messageId, swipeId, { showTranslation = false } = {}) {
+    const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+    if (!messageElement.length) {
+        toastr.warning(`Message #${messageId} is not loaded in the chat view. Load more messages and try again.`);
+        return false;
+    }
+    
+    if (!unlockedMessages.has(messageId)) {
+        unlockMessage(messageId, messageElement);
+    }
+    
+    const messageState = unlockedMessages.get(messageId);
+    if (!messageState) return false;
+    
+    goToUnlockedSwipe(messageId, swipeId);
+    
+    if (showTranslation && !messageState.showTranslation) {
+        toggleTranslation(messageId);
+    }
+    
+    scrollToMessage(messageElement);
+    return true;
+}
+
+/**
+ * Open the chat-wide swipe search panel
+ */
+async function openSwipeSearch() {
+    const container = $(`
+        <div class="swipe-unlock-search">
+            <h3>Search swipes</h3>
+            <div class="swipe-unlock-search-controls">
+                <input type="search" class="text_pole swipe-unlock-search-query" placeholder="Search text...">
+                <select class="text_pole swipe-unlock-search-mode">
+                    <option value="plain">Plain</option>
+                    <option value="insensitive">Case-insensitive</option>
+                    <option value="regex">Regex</option>
+                </select>
+                <div class="menu_button swipe-unlock-search-run">Search</div>
+            </div>
+            <label class="checkbox_label">
+                <input type="checkbox" class="swipe-unlock-search-translations">
+                Include LLM Translator translations
+            </label>
+            <div class="swipe-unlock-search-status"></div>
+            <div class="swipe-unlock-search-results"></div>
+        </div>
+    `);
+    
+    const popup = new Popup(container, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
+    let hits = [];
+    
+    const runSearch = async () => {
+        const query = String(container.find('.swipe-unlock-search-query').val() || '');
+        const status = container.find('.swipe-unlock-search-status');
+        const results = container.find('.swipe-unlock-search-results');
+        results.empty();
+        
+        if (!query) {
+            status.text('');
+            return;
+        }
+        
+        try {
+            status.text('Searching...');
+            hits = await searchSwipes(query, {
+                mode: container.find('.swipe-unlock-search-mode').val(),
+                includeTranslations: container.find('.swipe-unlock-search-translations').prop('checked'),
+            });
+        } catch (error) {
+            status.text(`Invalid query: ${error.message}`);
+            return;
+        }
+        
+        status.text(hits.length > MAX_SEARCH_RESULTS
+            ? `${hits.length} hit(s), showing the first ${MAX_SEARCH_RESULTS}`
+            : `${hits.length} hit(s)`);
+        
+        results.html(hits.slice(0, MAX_SEARCH_RESULTS).map((hit, index) => `
+            <div class="swipe-unlock-search-hit" data-hit="${index}" title="Show this swipe">
+                <div class="swipe-unlock-search-hit-header">
+                    Message #${hit.messageId} · Swipe ${hit.swipeId + 1}${hit.translated ? ' · translation' : ''}${hit.count > 1 ? ` · ${hit.count} matches` : ''}
+                </div>
+                <div class="swipe-unlock-search-snippet">${escapeHtml(hit.before)}<mark>${escapeHtml(hit.match)}</mark>${escapeHtml(hit.after)}</div>
+            </div>
+        `).join(''));
+    };
+    
+    container.find('.swipe-unlock-search-run').on('click', runSearch);
+    container.find('.swipe-unlock-search-query').on('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            runSearch();
+        }
+    });
+    container.on('click', '.swipe-unlock-search-hit', async function() {
+        const hit = hits[parseInt($(this).attr('data-hit'))];
+        if (!hit) return;
+        
+        await popup.complete(POPUP_RESULT.AFFIRMATIVE);
+        revealSwipe(hit.messageId, hit.swipeId, { showTranslation: hit.translated });
+    });
+    
+    await popup.show();
+}
+
+/**
+ * Get the canonical (selected) swipe of a message, ignoring swipes being browsed
+ */
+function getSelectedSwipeId(messageId) {
+    const messageState = unlockedMessages.get(messageId);
+    if (messageState) return messageState.originalSwipeId;
+    
+    return getChatArray()[messageId]?.swipe_id || 0;
+}
+
+/**
+ * Collect export data for one message (or every message with swipes when messageId is null)
+ */
+async function collectSwipeExportData(messageId) {
+    const chatArray = getChatArray();
+    const messageIds = messageId === null
+        ? chatArray.map((_, index) => index)
+        : [messageId];
+    
+    const messages = [];
+    for (const id of messageIds) {
+        const message = chatArray[id];
+        if (!Array.isArray(message?.swipes)) continue;
+        
+        const selectedSwipeId = getSelectedSwipeId(id);
+        const swipes = [];
+        for (let swipeId = 0; swipeId < message.swipes.length; swipeId++) {
+            const translation = await getSwipeTranslation(id, swipeId);
+            swipes.push({
+                index: swipeId,
+                selected: swipeId === selectedSwipeId,
+                text: message.swipes[swipeId] ?? '',
+                swipe_info: message.swipe_info?.[swipeId] ?? null,
+                ...(translation ? { translation } : {}),
+            });
+        }
+        
+        messages.push({
+            messageId: id,
+            name: message.name,
+            is_user: !!message.is_user,
+            selectedSwipeId,
+            swipes,
+        });
+    }
+    
+    const context = getContext();
+    return {
+        exportedAt: new Date().toISOString(),
+        chatId: context.getCurrentChatId?.() ?? null,
+        messages,
+    };
+}
+
+/**
+ * Serialize export data as Markdown
+ */
+function formatSwipeExportMarkdown(data) {
+    const lines = [`# Swipes export${data.chatId ? ` - ${data.chatId}` : ''}`, '', `Exported: ${data.exportedAt}`, ''];
+    
+    for (const message of data.messages) {
+        lines.push(`## Message #${message.messageId} - ${message.name}`, '');
+        for (const swipe of message.swipes) {
+            const flags = swipe.selected ? ' (selected)' : '';
+            lines.push(`### Swipe ${swipe.index + 1}${flags}`, '');
+            
+            const model = swipe.swipe_info?.extra?.model;
+            const sendDate = swipe.swipe_info?.send_date;
+            if (model || sendDate) {
+                lines.push(`*${[model, sendDate].filter(Boolean).join(' · ')}*`, '');
+            }
+            
+            lines.push(swipe.text, '');
+            if (swipe.translation) {
+                lines.push('#### Translation', '', swipe.translation, '');
+            }
+        }
+    }
+    
+    return lines.join('\n');
+}
+
+/**
+ * Serialize export data as a standalone HTML document
+ */
+function formatSwipeExportHtml(data) {
+    const format = (text, message) => {
+        try {
+            return messageFormatting(text, message.name, false, message.is_user, message.messageId);
+        } catch (error) {
+            return `<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>`;
+        }
+    };
+    
+    const sections = data.messages.map(message => {
+        const swipes = message.swipes.map(swipe => {
+            const model = swipe.swipe_info?.extra?.model;
+            const sendDate = swipe.swipe_info?.send_date;
+            const meta = [model, sendDate].filter(Boolean).map(value => escapeHtml(String(value))).join(' · ');
+            const translation = swipe.translation
+                ? `<details><summary>Translation</summary>${format(swipe.translation, message)}</details>`
+                : '';
+            
+            return `
+                <article class="swipe${swipe.selected ? ' selected' : ''}">
+                    <h3>Swipe ${swipe.index + 1}${swipe.selected ? ' (selected)' : ''}</h3>
+                    ${meta ? `<div class="meta">${meta}</div>` : ''}
+                    ${format(swipe.text, message)}
+                    ${translation}
+                </article>
+            `;
+        }).join('');
+        
+        return `<section><h2>Message #${message.messageId} - ${escapeHtml(message.name || '')}</h2>${swipes}</section>`;
+    }).join('');
+    
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Swipes export</title>
+<style>
+body { font-family: sans-serif; max-width: 900px; margin: 2em auto; line-height: 1.5; }
+.swipe { border: 1px solid #ccc; border-radius: 6px; padding: 0.5em 1em; margin: 0.5em 0; }
+.swipe.selected { border-color: #2e7d32; border-width: 2px; }
+.meta { font-size: 0.85em; color: #666; }
+</style>
+</head>
+<body>
+<h1>Swipes export${data.chatId ? ` - ${escapeHtml(data.chatId)}` : ''}</h1>
+<p>Exported: ${data.exportedAt}</p>
+${sections}
+</body>
+</html>`;
+}
+
+/**
+ * Export swipes of one message (or the whole chat when messageId is null) to a downloaded file
+ */
+async function exportSwipes(messageId, format) {
+    const data = await collectSwipeExportData(messageId);
+    if (!data.messages.length) {
+        toastr.info('There are no swipes to export.');
+        return;
+    }
+    
+    const baseName = messageId === null ? 'swipes-chat' : `swipes-message-${messageId}`;
+    const fileName = `${baseName}-${Date.now()}`;
+    
+    switch (format) {
+        case 'json':
+            download(JSON.stringify(data, null, 2), `${fileName}.json`, 'application/json');
+            break;
+        case 'markdown':
+            download(formatSwipeExportMarkdown(data), `${fileName}.md`, 'text/markdown');
+            break;
+        case 'html':
+            download(formatSwipeExportHtml(data), `${fileName}.html`, 'text/html');
+            break;
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+/**
+ * Ask for export scope and format, then export
+ */
+async function openExportDialog(messageId) {
+    const scopeOptions = messageId === null
+        ? ''
+        : `<option value="message">This message (#${messageId})</option>`;
+    
+    const container = $(`
+        <div class="swipe-unlock-export-dialog">
+            <h3>Export swipes</h3>
+            <label>Scope
+                <select class="text_pole swipe-unlock-export-scope">
+                    ${scopeOptions}
+                    <option value="chat">Whole chat</option>
+                </select>
+            </label>
+            <label>Format
+                <select class="text_pole swipe-unlock-export-format">
+                    <option value="json">JSON</option>
+                    <option value="markdown">Markdown</option>
+                    <option value="html">HTML</option>
+                </select>
+            </label>
+        </div>
+    `);
+    
+    const result = await callGenericPopup(container, POPUP_TYPE.CONFIRM, '', { okButton: 'Export', cancelButton: 'Cancel' });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+    
+    const scope = container.find('.swipe-unlock-export-scope').val();
+    const format = container.find('.swipe-unlock-export-format').val();
+    
+    try {
+        await exportSwipes(scope === 'message' ? messageId : null, format);
+    } catch (error) {
+        console.error('Swipe export failed:', error);
+        toastr.error('Failed to export swipes.');
+    }
+}
+
+/**
+ * Compute swipe statistics of the current chat (character messages only)
+ */
+function collectSwipeStatistics() {
+    const stats = {
+        messages: 0,
+        messagesWithAlternatives: 0,
+        totalSwipes: 0,
+        firstSwipeKept: 0,
+        swipeCounts: new Map(),   // swipes per message -> messages
+        keptIndices: new Map(),   // selected swipe index -> messages (messages with alternatives)
+        lengthByIndex: new Map(), // swipe index -> {swipes, characters}
+        models: new Map(),        // model -> {generated, kept}
+    };
+    
+    const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+    
+    getChatArray().forEach((message, messageId) => {
+        if (!message || message.is_user || message.is_system || !Array.isArray(message.swipes) || !message.swipes.length) return;
+        
+        const selectedSwipeId = getSelectedSwipeId(messageId);
+        stats.messages++;
+        stats.totalSwipes += message.swipes.length;
+        increment(stats.swipeCounts, message.swipes.length);
+        
+        if (message.swipes.length > 1) {
+            stats.messagesWithAlternatives++;
+            increment(stats.keptIndices, selectedSwipeId);
+            if (selectedSwipeId === 0) stats.firstSwipeKept++;
+        }
+        
+        message.swipes.forEach((swipeText, swipeId) => {
+            const length = stats.lengthByIndex.get(swipeId) || { swipes: 0, characters: 0 };
+            length.swipes++;
+            length.characters += String(swipeText ?? '').length;
+            stats.lengthByIndex.set(swipeId, length);
+            
+            const model = getSwipeMetadata(message, swipeId).model;
+            const modelStats = stats.models.get(model) || { generated: 0, kept: 0 };
+            modelStats.generated++;
+            if (swipeId === selectedSwipeId) modelStats.kept++;
+            stats.models.set(model, modelStats);
+        });
+    });
+    
+    return stats;
+}
+
+/**
+ * Format a ratio as a percentage
+ */
+function formatPercent(part, total) {
+    return total ? `${Math.round(part / total * 100)}%` : '-';
+}
+
+/**
+ * Render one statistics table with a CSS bar per row (bar length from row.value)
+ */
+function renderStatisticsChart(title, headers, rows) {
+    const max = Math.max(0, ...rows.map(row => row.value));
+    
+    return `
+        <h4>${title}</h4>
+        <table class="swipe-unlock-stats-table">
+            <thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}<th></th></tr></thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <td>${escapeHtml(String(row.label))}</td>
+                        ${row.cells.map(cell => `<td>${escapeHtml(String(cell))}</td>`).join('')}
+                        <td class="swipe-unlock-stats-bar-cell">
+                            <div class="swipe-unlock-stats-bar" style="width: ${max ? (row.value / max * 100).toFixed(1) : 0}%"></div>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Build the statistics tables - [{title, headers, rows: [{label, value, cells}]}]
+ */
+function getSwipeStatisticsTables(stats) {
+    const byKey = (a, b) => a[0] - b[0];
+    
+    return [
+        {
+            title: 'Swipes per message',
+            headers: ['Swipes', 'Messages'],
+            rows: [...stats.swipeCounts].sort(byKey).map(([count, messages]) => ({
+                label: count,
+                value: messages,
+                cells: [messages],
+            })),
+        },
+        {
+            title: 'Kept swipe (messages with alternatives)',
+            headers: ['Swipe', 'Messages', 'Share'],
+            rows: [...stats.keptIndices].sort(byKey).map(([swipeId, messages]) => ({
+                label: swipeId + 1,
+                value: messages,
+                cells: [messages, formatPercent(messages, stats.messagesWithAlternatives)],
+            })),
+        },
+        {
+            title: 'Average length per swipe number',
+            headers: ['Swipe', 'Swipes', 'Avg. characters'],
+            rows: [...stats.lengthByIndex].sort(byKey).map(([swipeId, length]) => {
+                const average = Math.round(length.characters / length.swipes);
+                return { label: swipeId + 1, value: average, cells: [length.swipes, average] };
+            }),
+        },
+        {
+            title: 'Models',
+            headers: ['Model', 'Generated', 'Kept', 'Keep rate'],
+            rows: [...stats.models].sort((a, b) => b[1].kept - a[1].kept || b[1].generated - a[1].generated).map(([model, modelStats]) => ({
+                label: model,
+                value: modelStats.kept,
+                cells: [modelStats.generated, modelStats.kept, formatPercent(modelStats.kept, modelStats.generated)],
+            })),
+        },
+    ];
+}
+
+/**
+ * Format statistics as CSV (one row per table row, with the table name in the first column)
+ */
+function formatSwipeStatisticsCsv(stats) {
+    const escapeCsv = (value) => {
+        const text = String(value ?? '');
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const lines = [
+        ['Table', 'Item', 'Value 1', 'Value 2', 'Value 3'],
+        ['Summary', 'Character messages', stats.messages],
+        ['Summary', 'Messages with alternatives', stats.messagesWithAlternatives],
+        ['Summary', 'Total swipes', stats.totalSwipes],
+        ['Summary', 'First swipe kept', stats.firstSwipeKept, formatPercent(stats.firstSwipeKept, stats.messagesWithAlternatives)],
+    ];
+    
+    for (const table of getSwipeStatisticsTables(stats)) {
+        lines.push([table.title, ...table.headers]);
+        for (const row of table.rows) {
+            lines.push([table.title, row.label, ...row.cells]);
+        }
+    }
+    
+    return lines.map(line => line.map(escapeCsv).join(',')).join('\n');
+}
+
+/**
+ * Show swipe statistics of the current chat
+ */
+async function openSwipeStatistics() {
+    const stats = collectSwipeStatistics();
+    if (!stats.messages) {
+        toastr.info('There are no character messages in this chat.');
+        return;
+    }
+    
+    const container = $(`
+        <div class="swipe-unlock-stats">
+            <h3>Swipe statistics</h3>
+            <div class="swipe-unlock-stats-summary">
+                <div><b>${stats.messages}</b> character messages</div>
+                <div><b>${stats.totalSwipes}</b> swipes (${(stats.totalSwipes / stats.messages).toFixed(2)} per message)</div>
+                <div><b>${stats.messagesWithAlternatives}</b> messages with alternatives</div>
+                <div><b>${formatPercent(stats.firstSwipeKept, stats.messagesWithAlternatives)}</b> kept their first swipe</div>
+            </div>
+            ${getSwipeStatisticsTables(stats).map(table => renderStatisticsChart(table.title, table.headers, table.rows)).join('')}
+        </div>
+    `);
+    
+    const result = await callGenericPopup(container, POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Export CSV',
+        cancelButton: 'Close',
+        wide: true,
+        allowVerticalScrolling: true,
+    });
+    
+    if (result === POPUP_RESULT.AFFIRMATIVE) {
+        download(formatSwipeStatisticsCsv(stats), `swipe-statistics-${Date.now()}.csv`, 'text/csv');
+    }
+}
+
+/**
+ * Update message display with new swipe content
+ */
+async function updateMessageDisplay(messageElement, messageId, swipeId, showTranslation = false, shouldScroll = false) {
+    const chatArray = getChatArray();
+    const message = chatArray[messageId];
+    if (!message) return;
+    
+    const swipeContent = message.swipes[swipeId];
+    let displayContent = swipeContent;
+    
+    // Reasoning, media, timestamp etc. of the shown swipe
+    if (unlockedMessages.has(messageId)) {
+        renderSwipeParts(messageElement, messageId, swipeId);
+    }
+    
+    // Get translation if toggle is on
+    if (showTranslation) {
+        const translation = await getSwipeTranslation(messageId, swipeId);
+        if (translation) {
+            displayContent = translation;
+        }
+    }
+    
+    // Bilingual view: original and translation aligned by paragraph (original only if untranslated)
+    const bilingualTranslation = unlockedMessages.get(messageId)?.bilingual
+        ? await getSwipeTranslation(messageId, swipeId)
+        : null;
+    
+    // Update message text
+    const mesText = messageElement.find('.mes_text');
+    if (mesText.length && bilingualTranslation) {
+        mesText.html(renderBilingualHtml(message, messageId, swipeContent, bilingualTranslation));
+    } else if (mesText.length && displayContent) {
+        try {
+            // Try to use SillyTavern's messageFormatting function
+            const formattedContent = messageFormatting(
+                displayContent,
+                message.name,
+                message.is_system || false,
+                message.is_user || false,
+                messageId
+            );
+            mesText.html(formattedContent);
+        } catch (error) {
+            console.warn('Failed to use messageFormatting, using fallback:', error);
+            // Fallback: simple HTML escaping and basic formatting
+            const escapedContent = $('<div>').text(displayContent).html();
+            mesText.html(escapedContent);
+        }
+    }
+    
+    // Scroll to message if requested (after content update)
+    if (shouldScroll) {
+        setTimeout(() => {
+            scrollToMessage(messageElement);
+        }, 50);
+    }
+}
+
+/**
+ * Resolve a message ID argument of a slash command
+ */
+function resolveSlashCommandMessage(value, { requireSwipes = true } = {}) {
+    const messageId = Number(String(value ?? '').trim());
+    if (!Number.isInteger(messageId)) {
+        throw new Error(`Invalid message ID: "${value ?? ''}"`);
+    }
+    
+    const message = getChatArray()[messageId];
+    if (!message) {
+        throw new Error(`Message #${messageId} does not exist.`);
+    }
+    
+    if (!Array.isArray(message.swipes) || message.swipes.length < 1) {
+        throw new Error(`Message #${messageId} has no swipes.`);
+    }
+    
+    if (requireSwipes && message.swipes.length <= 1) {
+        throw new Error(`Message #${messageId} has only one swipe.`);
+    }
+    
+    return { messageId, message };
+}
+
+/**
+ * Resolve a (0-based) swipe index argument of a slash command
+ */
+function resolveSlashCommandSwipe(message, messageId, value) {
+    const swipeId = Number(String(value ?? '').trim());
+    if (!Number.isInteger(swipeId) || swipeId < 0 || swipeId >= message.swipes.length) {
+        throw new Error(`Invalid swipe index "${value ?? ''}" for message #${messageId} (valid: 0-${message.swipes.length - 1}).`);
+    }
+    
+    return swipeId;
+}
+
+/**
+ * Split the unnamed argument of a "mesid swipe" style command
+ */
+function splitSlashCommandArgs(value) {
+    return Array.isArray(value) ? value.map(String) : String(value ?? '').trim().split(/\s+/);
+}
+
+/**
+ * Unlock a message from a slash command unless it already is
+ */
+function ensureUnlockedForCommand(messageId) {
+    if (!unlockedMessages.has(messageId)) {
+        unlockMessage(messageId, $(`#chat .mes[mesid="${messageId}"]`), { scroll: false });
+    }
+    
+    if (!unlockedMessages.has(messageId)) {
+        throw new Error(`Failed to unlock message #${messageId}.`);
+    }
+}
+
+/**
+ * Register STscript slash commands
+ */
+function registerSlashCommands() {
+    const messageIdArgument = SlashCommandArgument.fromProps({
+        description: 'message ID',
+        typeList: [ARGUMENT_TYPE.NUMBER],
+        isRequired: true,
+    });
+    const swipeArgument = SlashCommandArgument.fromProps({
+        description: 'swipe index (0-based)',
+        typeList: [ARGUMENT_TYPE.NUMBER],
+        isRequired: true,
+    });
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'swipe-unlock',
+        callback: (_, value) => {
+            const { messageId } = resolveSlashCommandMessage(value);
+            ensureUnlockedForCommand(messageId);
+            return '';
+        },
+        unnamedArgumentList: [messageIdArgument],
+        helpString: 'Unlocks swipe navigation of a historical message. Example: <code>/swipe-unlock 5</code>',
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'swipe-lock',
+        callback: (_, value) => {
+            if (String(value ?? '').trim() === 'all') {
+                lockAllMessages({ record: true });
+                return '';
+            }
+            
+            const { messageId } = resolveSlashCommandMessage(value, { requireSwipes: false });
+            if (!unlockedMessages.has(messageId)) {
+                throw new Error(`Message #${messageId} is not unlocked.`);
+            }
+            lockMessage(messageId, $(`#chat .mes[mesid="${messageId}"]`), { record: true });
+            return '';
+        },
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'message ID or "all"',
+                typeList: [ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: 'Locks an unlocked message (or <code>all</code>) and restores its original swipe.',
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'swipe-goto',
+        callback: (_, value) => {
+            const [messageArg, swipeArg] = splitSlashCommandArgs(value);
+            const { messageId, message } = resolveSlashCommandMessage(messageArg);
+            const swipeId = resolveSlashCommandSwipe(message, messageId, swipeArg);
+            ensureUnlockedForCommand(messageId);
+            goToUnlockedSwipe(messageId, swipeId);
+            return String(swipeId);
+        },
+        splitUnnamedArgument: true,
+        unnamedArgumentList: [messageIdArgument, swipeArgument],
+        helpString: 'Unlocks a message if needed and shows the given swipe. Returns the swipe index. Example: <code>/swipe-goto 5 2</code>',
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'swipe-count',
+        callback: (_, value) => {
+            const { message } = resolveSlashCommandMessage(value, { requireSwipes: false });
+            return String(message.swipes.length);
+        },
+        returns: 'number of swipes',
+        unnamedArgumentList: [messageIdArgument],
+        helpString: 'Returns the number of swipes of a message.',
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'swipe-get',
+        callback: async (args, value) => {
+            const [messageArg, swipeArg] = splitSlashCommandArgs(value);
+            const { messageId, message } = resolveSlashCommandMessage(messageArg, { requireSwipes: false });
+            const swipeId = resolveSlashCommandSwipe(message, messageId, swipeArg);
+            
+            if (String(args.translated) === 'true') {
+                return await getSwipeTranslation(messageId, swipeId) || '';
+            }
+            
+            return message.swipes[swipeId] ?? '';
+        },
+        returns: 'swipe text',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'translated',
+                description: 'return the LLM Translator translation (empty if there is none)',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: ['true', 'false'],
+            }),
+        ],
+        splitUnnamedArgument: true,
+        unnamedArgumentList: [messageIdArgument, swipeArgument],
+        helpString: 'Returns the text of a swipe. Example: <code>/swipe-get translated=true 5 2</code>',
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'swipe-commit',
+        callback: async (_, value) => {
+            const { messageId } = resolveSlashCommandMessage(value);
+            const messageState = unlockedMessages.get(messageId);
+            if (!messageState) {
+                throw new Error(`Message #${messageId} is not unlocked.`);
+            }
+            
+            const swipeId = messageState.messageRef.swipe_id || 0;
+            if (swipeId !== messageState.originalSwipeId) {
+                await commitUnlockedSwipe(messageId, { confirm: false });
+            }
+            
+            return String(swipeId);
+        },
+        unnamedArgumentList: [messageIdArgument],
+        helpString: 'Makes the swipe currently shown on an unlocked message its selected swipe and saves the chat. Returns the swipe index.',
+    }));
+}
+
+/**
+ * Capture the rendered per-swipe parts of a message so they can be restored exactly
+ */
+function captureSwipeParts(messageElement) {
+    return {
+        parts: SWIPE_PART_SELECTORS
+            .map(selector => {
+                const element = messageElement.find(selector).first();
+                if (!element.length) return null;
+                
+                // Position, so a part removed for another swipe can be put back in place
+                return { selector, clone: element.clone(true), parent: element.parent()[0], index: element.index() };
+            })
+            .filter(Boolean),
+        hasReasoning: messageElement.hasClass('reasoning'),
+        signature: getSwipePartsSignature(messageElement),
+    };
+}
+
+/**
+ * Describe the rendered per-swipe parts (order and markup), to verify a restore
+ */
+function getSwipePartsSignature(messageElement) {
+    return SWIPE_PART_SELECTORS
+        .map(selector => messageElement.find(selector).toArray().map(element => `${selector}:${element.outerHTML}`).join('\n'))
+        .join('\n');
+}
+
+/**
+ * Restore per-swipe parts captured by captureSwipeParts
+ */
+function restoreSwipeParts(messageElement, swipeParts) {
+    const captured = new Set(swipeParts.parts.map(part => part.selector));
+    
+    for (const selector of SWIPE_PART_SELECTORS) {
+        // Parts that didn't exist originally were added for another swipe
+        if (!captured.has(selector)) {
+            messageElement.find(selector).remove();
+        }
+    }
+    
+    // Lowest position first, so earlier parts are in place when later ones are inserted
+    const parts = swipeParts.parts.slice().sort((a, b) => a.index - b.index);
+    for (const part of parts) {
+        const current = messageElement.find(part.selector);
+        // Media of another swipe may have added more than one
+        current.slice(1).remove();
+        
+        if (current.length) {
+            current.first().replaceWith(part.clone.clone(true));
+        } else if (part.parent?.isConnected && messageElement[0].contains(part.parent)) {
+            // Removed while another swipe was shown (e.g. its file container)
+            part.parent.insertBefore(part.clone.clone(true)[0], part.parent.children[part.index] ?? null);
+        }
+    }
+    
+    messageElement.toggleClass('reasoning', swipeParts.hasReasoning);
+}
+
+/**
+ * Render reasoning, media, token counter, timestamp, timer and model icon of a swipe
+ * from its swipe_info entry. The original swipe is restored from the captured parts.
+ */
+function renderSwipeParts(messageElement, messageId, swipeId) {
+    const messageState = unlockedMessages.get(messageId);
+    const message = getChatArray()[messageId];
+    if (!messageState?.swipeParts || !message || !messageElement.length) return;
+    
+    // Start from the original parts so nothing of a previously shown swipe remains
+    restoreSwipeParts(messageElement, messageState.swipeParts);
+    if (swipeId === messageState.originalSwipeId) return;
+    
+    const extra = message.swipe_info?.[swipeId]?.extra || {};
+    const metadata = getSwipeMetadata(message, swipeId);
+    
+    // Reasoning block
+    const reasoning = extra.reasoning || '';
+    messageElement.toggleClass('reasoning', !!reasoning);
+    messageElement.find('.mes_reasoning_details').toggle(!!reasoning);
+    if (reasoning) {
+        try {
+            messageElement.find('.mes_reasoning').html(messageFormatting(reasoning, message.name, false, false, messageId));
+        } catch (error) {
+            messageElement.find('.mes_reasoning').text(reasoning);
+        }
+        
+        const duration = Number(extra.reasoning_duration);
+        messageElement.find('.mes_reasoning_header_title')
+            .text(duration > 0 ? `Thought for ${(duration / 1000).toFixed(1)}s` : 'Thought for some time');
+    }
+    
+    // Attached images and files
+    messageElement.find('.mes_img_container').removeClass('img_extra').find('.mes_img').attr('src', '');
+    messageElement.find('.mes_file_container').remove();
+    messageElement.find('.mes_media_wrapper').empty();
+    try {
+        appendMediaToMessage({ ...message, mes: message.swipes[swipeId], extra }, messageElement, false);
+    } catch (error) {
+        console.warn('Failed to render swipe media:', error);
+    }
+    
+    // Token counter, timestamp and generation timer
+    messageElement.find('.tokenCounterDisplay').text(metadata.tokenCount !== null ? `${metadata.tokenCount}t` : '');
+    messageElement.find('.timestamp').text(metadata.sendDate).attr('title', metadata.sendDate);
+    
+    const timer = messageElement.find('.mes_timer');
+    if (metadata.generationTime !== null) {
+        const seconds = metadata.generationTime / 1000;
+        const rate = metadata.tokenCount ? `, ${(metadata.tokenCount / seconds).toFixed(1)} t/s` : '';
+        timer.text(`${seconds.toFixed(1)}s`).attr('title', `Generation time: ${seconds.toFixed(1)}s${rate}`);
+    } else {
+        timer.text('').attr('title', '');
+    }
+    
+    // Model icon
+    const icon = messageElement.find('.timestamp-icon');
+    if (extra.api) {
+        const title = `${extra.api} - ${extra.model || 'Unknown'}`;
+        const newIcon = $('<img class="icon-svg timestamp-icon">').attr({ src: `/img/${extra.api}.svg`, title });
+        newIcon.on('error', () => newIcon.hide());
+        if (icon.length) {
+            icon.replaceWith(newIcon);
+        } else {
+            messageElement.find('.timestamp').before(newIcon);
+        }
+    } else {
+        icon.hide();
+    }
+}
+
+/**
+ * Handle sent/received messages
+ */
+function handleNewMessage() {
+    if (getSettings().lockOnNewMessage) {
+        // Messages used in the prompt stay unlocked until the generation is over (see resetPromptOverrides)
+        for (const [messageId, messageState] of Array.from(unlockedMessages.entries())) {
+            if (!messageState.useInPrompt) {
+                lockMessage(messageId, $(`#chat .mes[mesid="${messageId}"]`));
+            }
+        }
+    }
+    
+    refreshMessageDecorations();
+}
+
+/**
+ * Add missing lock icons and bring unlock state/UI in line with the rendered chat
+ */
+function refreshMessageDecorations() {
+    // Render events come in bursts (e.g. one per message when a chat loads), run once per burst
+    if (refreshDecorationsTimer) return;
+    
+    refreshDecorationsTimer = setTimeout(() => {
+        refreshDecorationsTimer = null;
+        addLockIconsToMessages();
+        reconcileUnlockState();
+        reconcileSwipePaths();
+        syncUnlockedMessageUI();
+    }, 100);
+}
+
+/**
+ * Handle chat switches
+ */
+function handleChatChange() {
+    // Entries of the previous chat never match messages of the new one. Drop them without
+    // persisting, which would overwrite what was remembered for the chat being opened.
+    unlockedMessages.clear();
+    // Also bounds how long translations LLM Translator changed meanwhile stay stale
+    translationCache.clear();
+    // Saved path indices of the new chat match its messages as loaded
+    swipePathMessages = getChatArray().slice();
+    restoreRememberedUnlockState();
+    refreshMessageDecorations();
+}
+
+/**
+ * Re-key unlock state to the current index of each message and drop entries whose message is gone
+ */
+function reconcileUnlockState() {
+    const chatArray = getChatArray();
+    const entries = Array.from(unlockedMessages.entries());
+    let changed = false;
+    
+    unlockedMessages.clear();
+    
+    for (const [messageId, messageState] of entries) {
+        const newMessageId = chatArray[messageId] === messageState.messageRef
+            ? messageId
+            : chatArray.indexOf(messageState.messageRef);
+        
+        if (newMessageId === -1) {
+            debugLog(`Dropped unlock state of removed message #${messageId}`);
+            changed = true;
+            continue;
+        }
+        
+        if (newMessageId !== messageId) {
+            debugLog(`Unlock state moved from message #${messageId} to #${newMessageId}`);
+            changed = true;
+        }
+        
+        unlockedMessages.set(newMessageId, messageState);
+    }
+    
+    if (changed) {
+        persistUnlockState();
+    }
+}
+
+/**
+ * Make rendered messages match the unlock state: restore navigation on re-rendered
+ * nodes and strip it from nodes that are no longer unlocked
+ */
+function syncUnlockedMessageUI() {
+    $('#chat .mes.swipe-unlocked').each(function() {
+        const messageElement = $(this);
+        const messageId = parseInt(messageElement.attr('mesid'));
+        if (!unlockedMessages.has(messageId)) {
+            removeUnlockUI(messageElement);
+        }
+    });
+    
+    for (const [messageId, messageState] of unlockedMessages) {
+        const messageElement = $(`#chat .mes[mesid="${messageId}"]`);
+        if (!messageElement.length || messageElement.find('.swipe-unlock-navigation').length) continue;
+        
+        // A fresh render shows the original swipe's parts
+        messageState.swipeParts = captureSwipeParts(messageElement);
+        
+        setLockIconState(messageElement, true);
+        addSwipeNavigationToMessage(messageElement, messageId);
+        messageElement.addClass('swipe-unlocked');
+        
+        // A fresh render shows message.mes, re-apply the browsed swipe or translation
+        const swipeId = messageState.messageRef.swipe_id || 0;
+        if (swipeId !== messageState.originalSwipeId || messageState.showTranslation || messageState.bilingual) {
+            updateMessageDisplay(messageElement, messageId, swipeId, messageState.showTranslation, false);
+        }
+    }
+}
+
+/**
+ * Handle edits made outside of our own editor: the edited text is now the message
+ */
+function handleMessageEdited(messageId) {
+    reconcileUnlockState();
+    
+    const messageState = unlockedMessages.get(Number(messageId));
+    if (messageState) {
+        const message = messageState.messageRef;
+        message.swipe_id = findActiveSwipeId(message, messageState.originalSwipeId);
+        unlockedMessages.delete(Number(messageId));
+        removeUnlockUI($(`#chat .mes[mesid="${messageId}"]`));
+        persistUnlockState();
+        emitSwipeUnlockEvent(SWIPE_UNLOCK_EVENTS.LOCKED, Number(messageId), {
+            swipeId: message.swipe_id,
+            originalSwipeId: message.swipe_id,
+            showTranslation: false,
+        });
+    }
+    
+    refreshMessageDecorations();
+}
+
+/**
+ * Handle native swipes: SillyTavern's selection becomes the truth, drop our state
+ */
+function handleNativeSwipe(messageId) {
+    const message = getChatArray()[Number(messageId)];
+    if (message) {
+        restoreSwipeMarks(message);
+    }
+    
+    reconcileUnlockState();
+    
+    if (unlockedMessages.delete(Number(messageId))) {
+        removeUnlockUI($(`#chat .mes[mesid="${messageId}"]`));
+        persistUnlockState();
+        emitSwipeUnlockEvent(SWIPE_UNLOCK_EVENTS.LOCKED, Number(messageId), {
+            swipeId: message?.swipe_id || 0,
+            originalSwipeId: message?.swipe_id || 0,
+            showTranslation: false,
+        });
+    }
+    
+    refreshMessageDecorations();
+}
+
+/**
+ * Get the localStorage key used to remember unlocked messages of the current chat
+ */
+function getUnlockStorageKey() {
+    const chatId = getContext().getCurrentChatId?.();
+    return chatId ? `${pluginName}:unlocked:${chatId}` : null;
+}
+
+/**
+ * Remember unlocked messages of the current chat (if enabled in settings)
+ */
+function persistUnlockState() {
+    if (!getSettings().rememberUnlocked) return;
+    
+    const key = getUnlockStorageKey();
+    if (!key) return;
+    
+    const entries = Array.from(unlockedMessages.entries()).map(([messageId, messageState]) => ({
+        messageId,
+        swipeId: messageState.messageRef.swipe_id || 0,
+        showTranslation: messageState.showTranslation,
+        bilingual: !!messageState.bilingual,
+    }));
+    
+    if (entries.length) {
+        localStorage.setItem(key, JSON.stringify(entries));
+    } else {
+        localStorage.removeItem(key);
+    }
+}
+
+/**
+ * Unlock the messages remembered for the current chat (if enabled in settings)
+ */
+function restoreRememberedUnlockState() {
+    if (!getSettings().rememberUnlocked) return;
+    
+    const key = getUnlockStorageKey();
+    if (!key) return;
+    
+    let entries;
+    try {
+        entries = JSON.parse(localStorage.getItem(key) || '[]');
+    } catch (error) {
+        console.warn('Failed to read remembered unlock state:', error);
+        return;
+    }
+    
+    const chatArray = getChatArray();
+    for (const entry of entries) {
+        const message = chatArray[entry.messageId];
+        if (!message?.swipes || message.swipes.length <= 1 || unlockedMessages.has(entry.messageId)) continue;
+        
+        const messageElement = $(`#chat .mes[mesid="${entry.messageId}"]`);
+        unlockMessage(entry.messageId, messageElement, { scroll: false });
+        
+        const messageState = unlockedMessages.get(entry.messageId);
+        if (!messageState) continue;
+        
+        goToUnlockedSwipe(entry.messageId, entry.swipeId, { scroll: false, record: false });
+        if (!!entry.showTranslation !== messageState.showTranslation) {
+            toggleTranslation(entry.messageId, { scroll: false, record: false });
+        }
+        if (!!entry.bilingual !== !!messageState.bilingual) {
+            toggleBilingual(entry.messageId);
+        }
+    }
+}
+
+/**
+ * Create empty benchmark counters
+ */
+function createBenchmarkStats() {
+    const metric = () => ({ runs: 0, items: 0, totalMs: 0, maxMs: 0, cacheHits: 0 });
+    return {
+        since: Date.now(),
+        decoration: metric(),
+        lookups: metric(),
+    };
+}
+
+/**
+ * Record a timing in benchmark mode
+ */
+function recordBenchmark(metricName, durationMs, { items = 1, cacheHit = false } = {}) {
+    if (!getSettings()?.benchmarkMode) return;
+    
+    const metric = benchmarkStats[metricName];
+    metric.runs++;
+    metric.items += items;
+    metric.totalMs += durationMs;
+    metric.maxMs = Math.max(metric.maxMs, durationMs);
+    if (cacheHit) metric.cacheHits++;
+}
+
+/**
+ * Show (and log) the timings collected in benchmark mode
+ */
+async function showBenchmarkReport() {
+    const rows = [
+        ['Message decoration', 'nodes', benchmarkStats.decoration, false],
+        ['Translation lookups', 'lookups', benchmarkStats.lookups, true],
+    ].map(([label, unit, metric, cached]) => ({
+        label,
+        runs: metric.runs,
+        items: `${metric.items} ${unit}`,
+        total: metric.totalMs.toFixed(1),
+        average: metric.runs ? (metric.totalMs / metric.runs).toFixed(2) : '-',
+        max: metric.maxMs.toFixed(1),
+        cacheHits: cached ? String(metric.cacheHits) : '-',
+    }));
+    
+    console.table(rows);
+    
+    const container = $(`
+        <div class="swipe-unlock-benchmark">
+            <h3>Benchmark report</h3>
+            <p>
+                Since ${escapeHtml(timestampToMoment(benchmarkStats.since).format('LL LT'))} ·
+                ${getChatArray().length} messages in chat · ${translationCache.size} cached translations
+                ${getSettings().benchmarkMode ? '' : '<br><b>Benchmark mode is off, enable it to collect timings.</b>'}
+            </p>
+            <table class="swipe-unlock-benchmark-table">
+                <thead>
+                    <tr><th></th><th>Runs</th><th>Items</th><th>Total ms</th><th>Avg ms</th><th>Max ms</th><th>Cache hits</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${row.label}</td><td>${row.runs}</td><td>${row.items}</td><td>${row.total}</td>
+                            <td>${row.average}</td><td>${row.max}</td><td>${row.cacheHits}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `);
+    
+    const result = await callGenericPopup(container, POPUP_TYPE.CONFIRM, '', { okButton: 'Reset', cancelButton: 'Close', wide: true });
+    if (result === POPUP_RESULT.AFFIRMATIVE) {
+        benchmarkStats = createBenchmarkStats();
+        toastr.info('Benchmark timings reset.');
+    }
+}
+
+/**
+ * Emit a swipe unlock event for other extensions (payload defaults to the message's current state)
+ */
+function emitSwipeUnlockEvent(eventType, messageId, overrides = {}) {
+    const messageState = unlockedMessages.get(messageId);
+    const message = getChatArray()[messageId];
+    
+    const payload = {
+        messageId,
+        swipeId: message?.swipe_id || 0,
+        originalSwipeId: messageState?.originalSwipeId ?? (message?.swipe_id || 0),
+        showTranslation: !!messageState?.showTranslation,
+        bilingual: !!messageState?.bilingual,
+        ...overrides,
+    };
+    
+    debugLog(`Event ${eventType}`, payload);
+    eventSource.emit(eventType, payload).catch(error => console.error(`Swipe Unlock: ${eventType} listener failed:`, error));
+}
+
+/**
+ * Describe the unlock state of a message for the public API
+ */
+function getMessageUnlockState(messageId) {
+    const message = getChatArray()[messageId];
+    if (!message) return null;
+    
+    const messageState = unlockedMessages.get(messageId);
+    return {
+        messageId,
+        unlocked: !!messageState,
+        swipeId: message.swipe_id || 0,
+        originalSwipeId: messageState?.originalSwipeId ?? (message.swipe_id || 0),
+        swipeCount: message.swipes?.length ?? 0,
+        showTranslation: !!messageState?.showTranslation,
+        bilingual: !!messageState?.bilingual,
+        useInPrompt: !!messageState?.useInPrompt,
+    };
+}
+
+/**
+ * Public API for other extensions, also available as window.SwipeUnlock.
+ * Message and swipe IDs are 0-based chat indices.
+ */
+export const SwipeUnlockAPI = Object.freeze({
+    events: SWIPE_UNLOCK_EVENTS,
+    
+    /**
+     * Unlock a message for swipe navigation. Returns true if it is unlocked afterwards.
+     */
+    unlock(messageId, { scroll = false } = {}) {
+        messageId = Number(messageId);
+        if (!unlockedMessages.has(messageId)) {
+            unlockMessage(messageId, $(`#chat .mes[mesid="${messageId}"]`), { scroll });
+        }
+        return unlockedMessages.has(messageId);
+    },
+    
+    /**
+     * Lock a message, restoring its selected swipe. Returns false if it was not unlocked.
+     */
+    lock(messageId) {
+        messageId = Number(messageId);
+        if (!unlockedMessages.has(messageId)) return false;
+        
+        lockMessage(messageId, $(`#chat .mes[mesid="${messageId}"]`));
+        return true;
+    },
+    
+    /**
+     * Show a swipe of a message, unlocking it first if needed. Returns true on success.
+     */
+    goto(messageId, swipeId, { scroll = false } = {}) {
+        messageId = Number(messageId);
+        if (!SwipeUnlockAPI.unlock(messageId, { scroll })) return false;
+        
+        return goToUnlockedSwipe(messageId, Number(swipeId), { scroll });
+    },
+    
+    /**
+     * State of one message, or of every unlocked message when called without an ID
+     */
+    getState(messageId) {
+        if (messageId === undefined) {
+            return Array.from(unlockedMessages.keys()).map(getMessageUnlockState).filter(Boolean);
+        }
+        return getMessageUnlockState(Number(messageId));
+    },
+    
+    /**
+     * Text of a swipe ({text, translated}); translated falls back to the original when missing
+     */
+    getSwipeText(messageId, swipeId, { translated = false } = {}) {
+        return getSwipeText(Number(messageId), Number(swipeId), translated);
+    },
+});
+
+window.SwipeUnlock = SwipeUnlockAPI;
 
 // Initialize when jQuery is ready
 jQuery(() => {